@@ -3,13 +3,18 @@ import { defineConfig } from 'astro/config';
 import sitemap from '@astrojs/sitemap';
 import vercel from '@astrojs/vercel';
 import tailwindcss from '@tailwindcss/vite';
+import ogImages from './src/integrations/og-images';
 
 // https://astro.build/config
 export default defineConfig({
   site: 'https://fergusonlivestock.com.au',
   output: 'static',
   adapter: vercel(),
-  integrations: [sitemap()],
+  integrations: [
+    // /my-details is only reached from a subscriber's private link
+    sitemap({ filter: (page) => !page.includes('/my-details') }),
+    ogImages(),
+  ],
   vite: {
     plugins: [tailwindcss()]
   },
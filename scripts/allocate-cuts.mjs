@@ -0,0 +1,109 @@
+/**
+ * Cut allocation for Ferguson Livestock
+ * Splits one beast's cut sheet across the boxes ordered for a drop and
+ * prints a packing list for each box
+ *
+ * Run with:
+ *   bun scripts/allocate-cuts.mjs <cut-sheet.json> --drop <dropId> [--csv]
+ *   bun scripts/allocate-cuts.mjs <cut-sheet.json> --boxes 5kg=16,10kg=8 [--csv]
+ *
+ * --drop uses the drop's confirmed reservations; --boxes takes counts
+ * directly. See scripts/cut-sheet.example.json for the cut sheet format.
+ */
+
+import { readFile } from 'fs/promises';
+import { allocateCuts, packingList } from '../src/lib/cut-allocation.ts';
+import { listReservations } from '../src/lib/reservations/index.ts';
+
+function option(name) {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? undefined : process.argv[index + 1];
+}
+
+async function boxOrders() {
+    const dropId = option('--drop');
+    if (dropId) {
+        const reservations = await listReservations(dropId);
+        const orders = {};
+        for (const r of reservations.filter((r) => r.status === 'confirmed')) {
+            orders[r.boxSize] = (orders[r.boxSize] ?? 0) + 1;
+        }
+        return orders;
+    }
+
+    const boxes = option('--boxes');
+    if (boxes) {
+        return Object.fromEntries(
+            boxes.split(',').map((entry) => {
+                const [size, count] = entry.split('=');
+                return [size.trim(), Number(count)];
+            }),
+        );
+    }
+    return undefined;
+}
+
+function printCsv(allocation) {
+    console.log('box,cut,group,packs,weight_kg');
+    for (const box of allocation.boxes) {
+        for (const line of packingList(box)) {
+            console.log(`${box.label},"${line.cut}",${line.group},${line.packs},${line.weightKg}`);
+        }
+    }
+    for (const pack of allocation.unallocated) {
+        console.log(`unallocated,"${pack.cut}",${pack.group},1,${pack.weightKg}`);
+    }
+}
+
+function printReport(allocation) {
+    console.log(`🐄 Hanging weight ${allocation.hangingWeightKg}kg, packed ${allocation.packedKg}kg (${allocation.yieldPercent}% yield)`);
+    console.log(`📦 ${allocation.boxes.length} boxes ordered, ${allocation.orderedKg}kg in total`);
+
+    for (const shortfall of allocation.shortfalls) {
+        console.log(`⚠️  Short on ${shortfall.group}: boxes need ${shortfall.neededKg}kg, cut sheet has ${shortfall.packedKg}kg`);
+    }
+
+    for (const box of allocation.boxes) {
+        console.log(`\n${box.label}  ${box.weightKg}kg of ${box.targetKg}kg`);
+        for (const line of packingList(box)) {
+            console.log(`  ☐ ${line.cut.padEnd(20)} ${String(line.packs).padStart(2)} × pack  ${line.weightKg}kg`);
+        }
+    }
+
+    if (allocation.unallocated.length > 0) {
+        const leftoverKg = allocation.unallocated.reduce((sum, pack) => sum + pack.weightKg, 0);
+        console.log(`\n🧊 Left over: ${allocation.unallocated.length} packs, ${Math.round(leftoverKg * 100) / 100}kg`);
+        for (const line of packingList({ packs: allocation.unallocated })) {
+            console.log(`  ${line.cut.padEnd(20)} ${String(line.packs).padStart(2)} × pack  ${line.weightKg}kg`);
+        }
+    }
+}
+
+async function allocate(cutSheetPath) {
+    const orders = await boxOrders();
+    if (!orders) {
+        throw new Error('Pass --drop <dropId> or --boxes 5kg=16,10kg=8');
+    }
+
+    const sheet = JSON.parse(await readFile(cutSheetPath, 'utf8'));
+    const allocation = allocateCuts(sheet, orders);
+
+    if (process.argv.includes('--csv')) {
+        printCsv(allocation);
+    } else {
+        printReport(allocation);
+    }
+}
+
+const cutSheetPath = process.argv[2];
+
+if (cutSheetPath && !cutSheetPath.startsWith('--')) {
+    allocate(cutSheetPath).catch((error) => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+} else {
+    console.log('Usage: bun scripts/allocate-cuts.mjs <cut-sheet.json> --drop <dropId> [--csv]');
+    console.log('       bun scripts/allocate-cuts.mjs <cut-sheet.json> --boxes 5kg=16,10kg=8 [--csv]');
+    process.exit(1);
+}
@@ -0,0 +1,57 @@
+/**
+ * Privacy requests for Ferguson Livestock
+ * Prints a subscriber's manage-my-details link (for when someone asks by
+ * phone or email) or the audit log of opt-outs, views and deletions
+ *
+ * Run with: bun scripts/privacy.mjs link <phone>
+ *           bun scripts/privacy.mjs audit [--csv]
+ */
+
+import { manageUrl, readPrivacyAudit } from '../src/lib/privacy.ts';
+import { parseAustralianPhone } from '../src/lib/validation.ts';
+
+async function privacy() {
+    const [command, arg] = process.argv.slice(2);
+
+    if (command === 'link') {
+        const phone = parseAustralianPhone(arg ?? '')?.e164;
+        if (!phone) {
+            console.error('❌ Usage: bun scripts/privacy.mjs link <phone>');
+            process.exit(1);
+        }
+        console.log(`🔗 ${manageUrl(phone)}`);
+        return;
+    }
+
+    if (command === 'audit') {
+        const entries = await readPrivacyAudit();
+
+        if (process.argv.includes('--csv')) {
+            console.log('at,action,subject,provider,outcome,error');
+            for (const entry of entries) {
+                console.log(`${entry.at},${entry.action},${entry.subject},${entry.provider},${entry.outcome},"${(entry.error ?? '').replace(/"/g, '""')}"`);
+            }
+            return;
+        }
+
+        if (entries.length === 0) {
+            console.log('📭 No privacy requests yet');
+            return;
+        }
+
+        console.log('🔒 Privacy requests');
+        for (const entry of entries) {
+            const icon = entry.outcome === 'completed' ? '✅' : entry.outcome === 'not_found' ? '❔' : '❌';
+            console.log(`  ${icon} ${entry.at}  ${entry.action.padEnd(11)} ${entry.subject}  ${entry.provider}${entry.error ? `  ${entry.error}` : ''}`);
+        }
+        return;
+    }
+
+    console.error('❌ Usage: bun scripts/privacy.mjs link <phone> | audit [--csv]');
+    process.exit(1);
+}
+
+privacy().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
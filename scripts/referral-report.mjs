@@ -0,0 +1,38 @@
+/**
+ * Referral report for Ferguson Livestock
+ * Counts how many new subscribers each person's share link brought in,
+ * so our best advocates can get priority on the next drop. The ledger is
+ * read from the shared data store, so set DATA_STORE or the KV_REST_API_*
+ * variables as in production to report on live sign-ups
+ *
+ * Run with: bun scripts/referral-report.mjs [--csv]
+ */
+
+import { tallyReferrals } from '../src/lib/referrals.ts';
+
+async function referralReport() {
+    const tallies = await tallyReferrals();
+
+    if (process.argv.includes('--csv')) {
+        console.log('referral_code,first_name,referrals');
+        for (const tally of tallies) {
+            console.log(`${tally.referralCode},"${tally.firstName.replace(/"/g, '""')}",${tally.referrals}`);
+        }
+        return;
+    }
+
+    if (tallies.length === 0) {
+        console.log('📭 No referrals yet');
+        return;
+    }
+
+    console.log('🤝 Referrals per subscriber');
+    for (const [index, tally] of tallies.entries()) {
+        console.log(`  ${String(index + 1).padStart(3)}. ${tally.referralCode}  ${tally.firstName.padEnd(20)} ${tally.referrals}`);
+    }
+}
+
+referralReport().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
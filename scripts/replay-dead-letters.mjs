@@ -0,0 +1,60 @@
+/**
+ * Dead-letter replay for Ferguson Livestock
+ * Re-sends wait-list sign-ups that failed every retry to the subscriber provider
+ *
+ * Run with: bun scripts/replay-dead-letters.mjs [--dry-run]
+ */
+
+import {
+    deliverSubscription,
+    getSubscriberProvider,
+    readDeadLetters,
+    settleDeadLetters,
+} from '../src/lib/subscribers/index.ts';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function replayDeadLetters() {
+    const deadLetters = await readDeadLetters();
+
+    if (deadLetters.length === 0) {
+        console.log('✅ No dead letters to replay');
+        return;
+    }
+
+    console.log(`📬 ${deadLetters.length} dead letter(s) found`);
+
+    if (dryRun) {
+        for (const entry of deadLetters) {
+            console.log(`  ${entry.id}  ${entry.failedAt}  ${entry.step}: ${entry.error}`);
+        }
+        return;
+    }
+
+    const provider = getSubscriberProvider();
+    const remaining = [];
+
+    for (const entry of deadLetters) {
+        try {
+            await deliverSubscription(provider, entry.details);
+            console.log(`✅ Delivered ${entry.id}`);
+        } catch (error) {
+            console.log(`❌ ${entry.id} still failing at ${error.step ?? 'unknown step'}: ${error.message}`);
+            remaining.push({
+                ...entry,
+                step: error.step ?? entry.step,
+                error: error.message,
+                attempts: entry.attempts + 1,
+            });
+        }
+    }
+
+    await settleDeadLetters(deadLetters, remaining);
+
+    console.log(`📮 ${deadLetters.length - remaining.length} delivered, ${remaining.length} left in the queue`);
+}
+
+replayDeadLetters().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
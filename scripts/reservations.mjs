@@ -0,0 +1,66 @@
+/**
+ * Reservation admin for Ferguson Livestock
+ * Lists a drop's reservations and marks paid ones as confirmed.
+ * Reservations are kept in the shared data store, so set DATA_STORE or the
+ * KV_REST_API_* variables as in production to manage live reservations
+ *
+ * Run with:
+ *   bun scripts/reservations.mjs list <dropId>
+ *   bun scripts/reservations.mjs confirm <dropId> <reservationId>
+ */
+
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+    confirmReservation,
+    isActive,
+    listReservations,
+    remainingBoxes,
+} from '../src/lib/reservations/index.ts';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const rootDir = join(__dirname, '..');
+
+async function loadDrop(dropId) {
+    const path = join(rootDir, 'src/content/drops', `${dropId}.json`);
+    return JSON.parse(await readFile(path, 'utf8'));
+}
+
+async function list(dropId) {
+    const drop = await loadDrop(dropId);
+    const reservations = await listReservations(dropId);
+    const now = new Date();
+
+    console.log(`📦 ${drop.name} (${dropId})`);
+    for (const r of reservations) {
+        const state = r.status === 'held' && !isActive(r, now) ? 'expired' : r.status;
+        console.log(`  ${r.id}  ${r.boxSize.padEnd(4)}  ${state.padEnd(9)}  ${r.firstName} ${r.phone} ${r.postcode}`);
+    }
+
+    const remaining = remainingBoxes(drop.allocations, reservations, now);
+    console.log(`✅ Boxes left: ${Object.entries(remaining).map(([size, count]) => `${size} × ${count}`).join(', ')}`);
+}
+
+async function confirm(dropId, id) {
+    const reservation = await confirmReservation(dropId, id);
+    console.log(`✅ Confirmed ${reservation.boxSize} box for ${reservation.firstName}`);
+}
+
+const [command, dropId, reservationId] = process.argv.slice(2);
+
+if (command === 'list' && dropId) {
+    list(dropId).catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
+} else if (command === 'confirm' && dropId && reservationId) {
+    confirm(dropId, reservationId).catch((error) => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+} else {
+    console.log('Usage: bun scripts/reservations.mjs list <dropId>');
+    console.log('       bun scripts/reservations.mjs confirm <dropId> <reservationId>');
+    process.exit(1);
+}
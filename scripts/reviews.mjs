@@ -0,0 +1,70 @@
+/**
+ * Review moderation for Ferguson Livestock
+ * Lists reviews submitted through the site and approves or rejects them.
+ * Approving writes the review into src/content/testimonials, so commit that
+ * file and redeploy to publish it (and update the rating in the site schema).
+ * Submissions are read from the shared data store, so set DATA_STORE or the
+ * KV_REST_API_* variables as in production to moderate live reviews
+ *
+ * Run with: bun scripts/reviews.mjs [list [--all]]
+ *           bun scripts/reviews.mjs approve <id>
+ *           bun scripts/reviews.mjs reject <id>
+ */
+
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { listReviews, moderateReview, testimonialEntry } from '../src/lib/reviews.ts';
+
+const TESTIMONIALS_DIR = 'src/content/testimonials';
+
+function slug(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+async function list() {
+    const reviews = await listReviews(process.argv.includes('--all') ? undefined : 'pending');
+    if (reviews.length === 0) {
+        console.log('📭 No reviews waiting');
+        return;
+    }
+
+    for (const review of reviews) {
+        const stars = '★'.repeat(review.rating) + '☆'.repeat(5 - review.rating);
+        console.log(`\n${review.id}  ${stars}  ${review.name}, ${review.suburb}  (${review.status})`);
+        console.log(`  📱 ${review.phone}  🕐 ${review.submittedAt}`);
+        console.log(`  "${review.quote}"`);
+    }
+}
+
+async function approve(id) {
+    const review = await moderateReview(id, 'approved');
+    if (!review) {
+        throw new Error(`No review ${id}`);
+    }
+
+    const entry = testimonialEntry(review);
+    const path = join(TESTIMONIALS_DIR, `${entry.date}-${slug(entry.name)}-${review.id}.json`);
+    await writeFile(path, JSON.stringify(entry, null, 4) + '\n');
+    console.log(`✅ Approved ${review.name}'s review. Commit ${path} and redeploy to publish it`);
+}
+
+async function reject(id) {
+    const review = await moderateReview(id, 'rejected');
+    if (!review) {
+        throw new Error(`No review ${id}`);
+    }
+    console.log(`🗑️  Rejected ${review.name}'s review`);
+}
+
+const [command = 'list', id] = process.argv.slice(2);
+const commands = { list, approve, reject };
+
+if (commands[command] && (command === 'list' || id)) {
+    commands[command](id).catch((error) => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+} else {
+    console.log('Usage: bun scripts/reviews.mjs [list [--all]] | approve <id> | reject <id>');
+    process.exit(1);
+}
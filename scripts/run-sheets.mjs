@@ -0,0 +1,280 @@
+/**
+ * Delivery run sheets for Ferguson Livestock
+ * Groups a drop's confirmed orders (or an exported list of subscribers) by
+ * delivery day and zone, orders the stops outward from the farm, and writes
+ * a printable HTML run sheet plus a CSV for each drop
+ *
+ * Run with:
+ *   bun scripts/run-sheets.mjs --drop <dropId> [--out <dir>]
+ *   bun scripts/run-sheets.mjs --import <people.csv> [--out <dir>]
+ *
+ * The import CSV needs name (or first_name), phone and postcode columns, and
+ * may have address, suburb and box_size. Output goes to run-sheets/ by
+ * default; open the HTML in a browser and print it, or save it as a PDF.
+ */
+
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { basename, extname, join } from 'path';
+import { planRuns } from '../src/lib/run-sheets.ts';
+import { listReservations } from '../src/lib/reservations/index.ts';
+
+function option(name) {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? undefined : process.argv[index + 1];
+}
+
+/** Splits CSV text into rows, honouring quoted fields. */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter((r) => r.some((value) => value.trim()));
+}
+
+// Header names as they appear in our exports, e.g. Klaviyo's "Phone Number"
+const columnAliases = {
+    name: ['name', 'first_name', 'firstname'],
+    phone: ['phone', 'phone_number', 'mobile'],
+    postcode: ['postcode', 'zip', 'postal_code'],
+    address: ['address', 'street_address', 'address1'],
+    suburb: ['suburb', 'city'],
+    boxSize: ['box_size', 'box', 'boxsize'],
+};
+
+async function importDeliveries(path) {
+    const [header, ...rows] = parseCsv(await readFile(path, 'utf8'));
+    const keys = header.map((h) => h.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    const column = (field) => keys.findIndex((key) => columnAliases[field].includes(key));
+
+    const columns = Object.fromEntries(Object.keys(columnAliases).map((field) => [field, column(field)]));
+    for (const required of ['name', 'phone', 'postcode']) {
+        if (columns[required] === -1) {
+            throw new Error(`${path} has no ${required} column`);
+        }
+    }
+
+    return rows.map((row) => {
+        const value = (field) => (columns[field] === -1 ? undefined : row[columns[field]]?.trim() || undefined);
+        return {
+            name: value('name') ?? '',
+            phone: value('phone') ?? '',
+            postcode: value('postcode') ?? '',
+            address: value('address'),
+            suburb: value('suburb'),
+            boxSize: value('boxSize'),
+        };
+    });
+}
+
+async function dropDeliveries(dropId) {
+    const reservations = await listReservations(dropId);
+    return reservations
+        .filter((r) => r.status === 'confirmed')
+        .map((r) => ({
+            name: r.firstName,
+            phone: r.phone,
+            postcode: r.postcode,
+            address: r.address,
+            boxSize: r.boxSize,
+        }));
+}
+
+/** Delivery dates for the drop by weekday, e.g. { Friday: '2026-02-13' }. */
+async function dropDates(dropId) {
+    const drop = JSON.parse(await readFile(join('src/content/drops', `${dropId}.json`), 'utf8'));
+    return Object.fromEntries(
+        drop.deliveryDays.map((date) => [
+            new Intl.DateTimeFormat('en-AU', { timeZone: 'UTC', weekday: 'long' }).format(new Date(`${date}T12:00:00Z`)),
+            date,
+        ]),
+    );
+}
+
+function formatDate(date) {
+    return new Intl.DateTimeFormat('en-AU', { timeZone: 'UTC', dateStyle: 'full' }).format(new Date(`${date}T12:00:00Z`));
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function boxSummary(boxes) {
+    const entries = Object.entries(boxes);
+    return entries.length > 0 ? entries.map(([size, count]) => `${count} × ${size}`).join(', ') : 'No box sizes';
+}
+
+function renderHtml(title, plan, dates) {
+    const sheets = plan.sheets.map((sheet) => {
+        const day = dates[sheet.day] ? `${sheet.day}, ${formatDate(dates[sheet.day])}` : sheet.day;
+        const deliveries = sheet.stops.reduce((sum, stop) => sum + stop.deliveries.length, 0);
+        let number = 0;
+
+        const rows = sheet.stops.map((stop) => `
+            <tr class="stop"><th colspan="6">${escapeHtml(stop.suburb.name)} ${escapeHtml(stop.suburb.postcode)} <span>${stop.legKm} km</span></th></tr>
+            ${stop.deliveries.map((delivery) => `
+            <tr>
+                <td class="tick">☐</td>
+                <td>${++number}</td>
+                <td>${escapeHtml(delivery.name)}</td>
+                <td><a href="tel:${escapeHtml(delivery.phone)}">${escapeHtml(delivery.phone)}</a></td>
+                <td>${escapeHtml(delivery.boxSize ?? '')}</td>
+                <td>${escapeHtml(delivery.address ?? '')}</td>
+            </tr>`).join('')}`).join('');
+
+        return `
+    <section>
+        <h1>${escapeHtml(sheet.zone.name)}</h1>
+        <p class="meta">${escapeHtml(day)} · ${deliveries} deliveries · ${escapeHtml(boxSummary(sheet.boxes))} · about ${sheet.distanceKm} km from the farm and back (straight line)</p>
+        <table>
+            <thead><tr><th></th><th>#</th><th>Name</th><th>Phone</th><th>Box</th><th>Address</th></tr></thead>
+            <tbody>${rows}
+            </tbody>
+        </table>
+    </section>`;
+    });
+
+    const unplaced = plan.unplaced.length === 0 ? '' : `
+    <section>
+        <h1>Outside our delivery area</h1>
+        <p class="meta">These postcodes aren't in any zone. Arrange pick-up or check the postcode.</p>
+        <table>
+            <thead><tr><th>Name</th><th>Phone</th><th>Postcode</th><th>Address</th></tr></thead>
+            <tbody>${plan.unplaced.map((d) => `
+                <tr><td>${escapeHtml(d.name)}</td><td>${escapeHtml(d.phone)}</td><td>${escapeHtml(d.postcode)}</td><td>${escapeHtml(d.address ?? '')}</td></tr>`).join('')}
+            </tbody>
+        </table>
+    </section>`;
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(title)}</title>
+    <style>
+        @page { size: A4; margin: 15mm; }
+        body { font-family: system-ui, sans-serif; color: #2d3b2d; font-size: 11pt; }
+        section { break-after: page; }
+        section:last-child { break-after: auto; }
+        h1 { font-size: 18pt; margin: 0 0 4pt; }
+        .meta { margin: 0 0 12pt; color: #5a7247; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 4pt 6pt; border-bottom: 1px solid #ddd; vertical-align: top; }
+        tr { break-inside: avoid; }
+        .stop th { background: #f0efe9; padding-top: 8pt; }
+        .stop span { float: right; font-weight: normal; color: #5a7247; }
+        .tick { width: 16pt; font-size: 14pt; }
+        a { color: inherit; text-decoration: none; }
+    </style>
+</head>
+<body>${sheets.join('')}${unplaced}
+</body>
+</html>
+`;
+}
+
+function renderCsv(plan, dates) {
+    const lines = ['day,date,zone,stop,suburb,name,phone,box_size,address,postcode'];
+    for (const sheet of plan.sheets) {
+        sheet.stops.forEach((stop, index) => {
+            for (const delivery of stop.deliveries) {
+                lines.push([
+                    sheet.day,
+                    dates[sheet.day] ?? '',
+                    sheet.zone.name,
+                    index + 1,
+                    stop.suburb.name,
+                    delivery.name,
+                    delivery.phone,
+                    delivery.boxSize ?? '',
+                    delivery.address ?? '',
+                    delivery.postcode,
+                ].map(csvField).join(','));
+            }
+        });
+    }
+    for (const delivery of plan.unplaced) {
+        lines.push(['', '', 'Outside delivery area', '', '', delivery.name, delivery.phone, delivery.boxSize ?? '', delivery.address ?? '', delivery.postcode].map(csvField).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+async function runSheets() {
+    const dropId = option('--drop');
+    const importPath = option('--import');
+    if (!dropId && !importPath) {
+        throw new Error('Pass --drop <dropId> or --import <people.csv>');
+    }
+
+    const deliveries = dropId ? await dropDeliveries(dropId) : await importDeliveries(importPath);
+    if (deliveries.length === 0) {
+        console.log('📭 Nothing to deliver');
+        return;
+    }
+
+    const dates = dropId ? await dropDates(dropId) : {};
+    const plan = planRuns(deliveries);
+    const name = dropId ?? basename(importPath, extname(importPath));
+    const outDir = option('--out') ?? 'run-sheets';
+
+    await mkdir(outDir, { recursive: true });
+    const htmlPath = join(outDir, `${name}.html`);
+    const csvPath = join(outDir, `${name}.csv`);
+    await writeFile(htmlPath, renderHtml(`Run sheets: ${name}`, plan, dates));
+    await writeFile(csvPath, renderCsv(plan, dates));
+
+    for (const sheet of plan.sheets) {
+        const count = sheet.stops.reduce((sum, stop) => sum + stop.deliveries.length, 0);
+        console.log(`🚚 ${[sheet.day, dates[sheet.day]].filter(Boolean).join(' ')}  ${sheet.zone.name}: ${count} deliveries, ${sheet.stops.length} stops, ~${sheet.distanceKm} km`);
+        console.log(`   ${sheet.stops.map((stop) => stop.suburb.name).join(' → ')}`);
+    }
+    if (plan.unplaced.length > 0) {
+        console.log(`⚠️  ${plan.unplaced.length} outside the delivery area: ${plan.unplaced.map((d) => d.postcode).join(', ')}`);
+    }
+    console.log(`\n✅ Wrote ${htmlPath} and ${csvPath}`);
+}
+
+runSheets().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,42 @@
+import { defineCollection, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+// Calendar dates are stored as plain YYYY-MM-DD strings and always read as
+// Melbourne-local days (see src/lib/drops.ts), so they never shift with the
+// build server's timezone.
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a YYYY-MM-DD date');
+
+// One JSON file per beef drop. The file name (e.g. 2026-02) is the drop ID.
+const drops = defineCollection({
+    loader: glob({ pattern: '**/*.json', base: './src/content/drops' }),
+    schema: z.object({
+        name: z.string(),
+        processingDate: isoDate,
+        ordersOpen: isoDate,
+        ordersClose: isoDate,
+        deliveryDays: z.array(isoDate).min(1),
+        status: z.enum(['upcoming', 'open', 'sold-out']),
+        // Boxes available per catalogue product ID (src/data/products.ts)
+        allocations: z.object({
+            '5kg': z.number().int().nonnegative(),
+            '10kg': z.number().int().nonnegative(),
+        }),
+    }),
+});
+
+// Approved customer reviews, one JSON file each. Submissions are moderated
+// first and written here by scripts/reviews.mjs (see src/lib/reviews.ts).
+// Quotes carried over from the old site copy have no rating or date, since
+// none was given; only rated, dated reviews feed the rating schema.
+const testimonials = defineCollection({
+    loader: glob({ pattern: '**/*.json', base: './src/content/testimonials' }),
+    schema: z.object({
+        name: z.string(),
+        suburb: z.string(),
+        rating: z.number().int().min(1).max(5).optional(),
+        date: isoDate.optional(),
+        quote: z.string(),
+    }),
+});
+
+export const collections = { drops, testimonials };
@@ -0,0 +1,127 @@
+/**
+ * Where we deliver. Each suburb belongs to one zone, and the zone sets the
+ * delivery day and fee. This list also feeds `areaServed` in the site schema,
+ * so add a suburb here and everything else picks it up.
+ */
+
+export type DeliveryDay = 'Friday' | 'Saturday';
+
+export interface DeliveryZone {
+    id: string;
+    name: string;
+    deliveryDay: DeliveryDay;
+    /** Delivery fee in whole dollars. */
+    deliveryFee: number;
+}
+
+export interface Suburb {
+    name: string;
+    postcode: string;
+    zone: DeliveryZone['id'];
+    /** Approximate centre of the suburb, for planning delivery runs. */
+    latitude: number;
+    longitude: number;
+    /** Wikipedia or similar page, used for the schema.org `sameAs` link. */
+    sameAs?: string;
+}
+
+/** The farm, where every delivery run starts and ends. Also the site schema's `geo`. */
+export const farm = {
+    name: 'Snake Valley',
+    latitude: -37.5833,
+    longitude: 143.6833,
+};
+
+export const zones: DeliveryZone[] = [
+    { id: 'ballarat', name: 'Ballarat', deliveryDay: 'Friday', deliveryFee: 0 },
+    { id: 'golden-plains', name: 'Snake Valley & Golden Plains', deliveryDay: 'Friday', deliveryFee: 0 },
+    { id: 'central-highlands', name: 'Central Highlands & Macedon Ranges', deliveryDay: 'Saturday', deliveryFee: 0 },
+];
+
+// Several postcodes (notably 3352) span more than one zone. Postcode lookups
+// take the first suburb listed, so keep the Ballarat zone at the top.
+export const suburbs: Suburb[] = [
+    // Ballarat
+    { name: 'Ballarat', postcode: '3350', zone: 'ballarat', latitude: -37.5622, longitude: 143.8503, sameAs: 'https://en.wikipedia.org/wiki/Ballarat' },
+    { name: 'Ballarat Central', postcode: '3350', zone: 'ballarat', latitude: -37.5610, longitude: 143.8575 },
+    { name: 'Ballarat East', postcode: '3350', zone: 'ballarat', latitude: -37.5650, longitude: 143.8780 },
+    { name: 'Lake Wendouree', postcode: '3350', zone: 'ballarat', latitude: -37.5530, longitude: 143.8370 },
+    { name: 'Alfredton', postcode: '3350', zone: 'ballarat', latitude: -37.5560, longitude: 143.8140 },
+    { name: 'Mount Clear', postcode: '3350', zone: 'ballarat', latitude: -37.6000, longitude: 143.8700 },
+    { name: 'Mount Pleasant', postcode: '3350', zone: 'ballarat', latitude: -37.5800, longitude: 143.8600 },
+    { name: 'Mount Helen', postcode: '3350', zone: 'ballarat', latitude: -37.6250, longitude: 143.8800 },
+    { name: 'Redan', postcode: '3350', zone: 'ballarat', latitude: -37.5760, longitude: 143.8380 },
+    { name: 'Lucas', postcode: '3350', zone: 'ballarat', latitude: -37.5510, longitude: 143.7750 },
+    { name: 'Brown Hill', postcode: '3350', zone: 'ballarat', latitude: -37.5480, longitude: 143.9020 },
+    { name: 'Canadian', postcode: '3350', zone: 'ballarat', latitude: -37.5800, longitude: 143.8850 },
+    { name: 'Invermay', postcode: '3352', zone: 'ballarat', latitude: -37.5250, longitude: 143.8750 },
+    { name: 'Miners Rest', postcode: '3352', zone: 'ballarat', latitude: -37.4800, longitude: 143.8000 },
+    { name: 'Cardigan Village', postcode: '3352', zone: 'ballarat', latitude: -37.5130, longitude: 143.7130 },
+    { name: 'Glen Park', postcode: '3352', zone: 'ballarat', latitude: -37.4900, longitude: 143.9200 },
+    { name: 'Wendouree', postcode: '3355', zone: 'ballarat', latitude: -37.5330, longitude: 143.8320 },
+    { name: 'Sebastopol', postcode: '3356', zone: 'ballarat', latitude: -37.5850, longitude: 143.8400 },
+    { name: 'Delacombe', postcode: '3356', zone: 'ballarat', latitude: -37.5900, longitude: 143.8150 },
+    { name: 'Buninyong', postcode: '3357', zone: 'ballarat', latitude: -37.6500, longitude: 143.8830 },
+    { name: 'Winter Valley', postcode: '3358', zone: 'ballarat', latitude: -37.5750, longitude: 143.7950 },
+
+    // Snake Valley & Golden Plains
+    { name: 'Snake Valley', postcode: '3351', zone: 'golden-plains', latitude: -37.6060, longitude: 143.5830 },
+    { name: 'Smythesdale', postcode: '3351', zone: 'golden-plains', latitude: -37.6420, longitude: 143.6870 },
+    { name: 'Scarsdale', postcode: '3351', zone: 'golden-plains', latitude: -37.6700, longitude: 143.6520 },
+    { name: 'Haddon', postcode: '3351', zone: 'golden-plains', latitude: -37.5900, longitude: 143.7170 },
+    { name: 'Ross Creek', postcode: '3351', zone: 'golden-plains', latitude: -37.6560, longitude: 143.7450 },
+    { name: 'Smythes Creek', postcode: '3351', zone: 'golden-plains', latitude: -37.6230, longitude: 143.7430 },
+    { name: 'Berringa', postcode: '3351', zone: 'golden-plains', latitude: -37.7600, longitude: 143.6900 },
+    { name: 'Carngham', postcode: '3351', zone: 'golden-plains', latitude: -37.5680, longitude: 143.5770 },
+    { name: 'Mininera', postcode: '3351', zone: 'golden-plains', latitude: -37.6150, longitude: 142.9700 },
+    { name: 'Napoleons', postcode: '3352', zone: 'golden-plains', latitude: -37.6750, longitude: 143.8300 },
+    { name: 'Enfield', postcode: '3352', zone: 'golden-plains', latitude: -37.7370, longitude: 143.7770 },
+    { name: 'Dereel', postcode: '3352', zone: 'golden-plains', latitude: -37.8000, longitude: 143.7700 },
+    { name: 'Linton', postcode: '3360', zone: 'golden-plains', latitude: -37.6860, longitude: 143.5640 },
+    { name: 'Mannibadar', postcode: '3360', zone: 'golden-plains', latitude: -37.7700, longitude: 143.4700 },
+    { name: 'Skipton', postcode: '3361', zone: 'golden-plains', latitude: -37.6860, longitude: 143.3640 },
+    { name: 'Beaufort', postcode: '3373', zone: 'golden-plains', latitude: -37.4300, longitude: 143.3830 },
+    { name: 'Rokewood', postcode: '3330', zone: 'golden-plains', latitude: -37.9000, longitude: 143.7170 },
+    { name: 'Shelford', postcode: '3329', zone: 'golden-plains', latitude: -38.0170, longitude: 143.9670 },
+    { name: 'Teesdale', postcode: '3328', zone: 'golden-plains', latitude: -38.0330, longitude: 144.0500 },
+    { name: 'Inverleigh', postcode: '3321', zone: 'golden-plains', latitude: -38.1020, longitude: 144.0520 },
+
+    // Central Highlands & Macedon Ranges
+    { name: 'Creswick', postcode: '3363', zone: 'central-highlands', latitude: -37.4250, longitude: 143.8940 },
+    { name: 'Clunes', postcode: '3370', zone: 'central-highlands', latitude: -37.2940, longitude: 143.7860 },
+    { name: 'Talbot', postcode: '3371', zone: 'central-highlands', latitude: -37.1720, longitude: 143.7040 },
+    { name: 'Dunnstown', postcode: '3352', zone: 'central-highlands', latitude: -37.6100, longitude: 143.9800 },
+    { name: 'Learmonth', postcode: '3352', zone: 'central-highlands', latitude: -37.4200, longitude: 143.7150 },
+    { name: 'Bungaree', postcode: '3352', zone: 'central-highlands', latitude: -37.5700, longitude: 144.0000 },
+    { name: 'Warrenheip', postcode: '3352', zone: 'central-highlands', latitude: -37.5680, longitude: 143.9360 },
+    { name: 'Sulky', postcode: '3352', zone: 'central-highlands', latitude: -37.5050, longitude: 143.8550 },
+    { name: 'Mount Egerton', postcode: '3352', zone: 'central-highlands', latitude: -37.6330, longitude: 144.0830 },
+    { name: 'Waubra', postcode: '3352', zone: 'central-highlands', latitude: -37.3580, longitude: 143.6400 },
+    { name: 'Mount Rowan', postcode: '3352', zone: 'central-highlands', latitude: -37.4800, longitude: 143.8400 },
+    { name: 'Weatherboard', postcode: '3352', zone: 'central-highlands', latitude: -37.4300, longitude: 143.7700 },
+    { name: 'Addington', postcode: '3352', zone: 'central-highlands', latitude: -37.3800, longitude: 143.6800 },
+    { name: 'Lexton', postcode: '3352', zone: 'central-highlands', latitude: -37.2670, longitude: 143.5170 },
+    { name: 'Gordon', postcode: '3345', zone: 'central-highlands', latitude: -37.5830, longitude: 144.1000 },
+    { name: 'Blampied', postcode: '3364', zone: 'central-highlands', latitude: -37.3660, longitude: 144.0500 },
+    { name: 'Newlyn', postcode: '3364', zone: 'central-highlands', latitude: -37.4170, longitude: 143.9830 },
+    { name: 'Ascot', postcode: '3364', zone: 'central-highlands', latitude: -37.4000, longitude: 143.8000 },
+    { name: 'Barkly', postcode: '3384', zone: 'central-highlands', latitude: -37.0000, longitude: 143.2000 },
+    { name: 'Ararat', postcode: '3377', zone: 'central-highlands', latitude: -37.2830, longitude: 142.9330 },
+    { name: 'Avoca', postcode: '3467', zone: 'central-highlands', latitude: -37.0900, longitude: 143.4740 },
+    { name: 'Maryborough', postcode: '3465', zone: 'central-highlands', latitude: -37.0500, longitude: 143.7350 },
+    { name: 'Daylesford', postcode: '3460', zone: 'central-highlands', latitude: -37.3480, longitude: 144.1420 },
+    { name: 'Hepburn Springs', postcode: '3461', zone: 'central-highlands', latitude: -37.3160, longitude: 144.1380 },
+    { name: 'Trentham', postcode: '3458', zone: 'central-highlands', latitude: -37.3890, longitude: 144.3220 },
+    { name: 'Blackwood', postcode: '3458', zone: 'central-highlands', latitude: -37.4740, longitude: 144.3040 },
+    { name: 'Castlemaine', postcode: '3450', zone: 'central-highlands', latitude: -37.0640, longitude: 144.2170 },
+    { name: 'Kyneton', postcode: '3444', zone: 'central-highlands', latitude: -37.2470, longitude: 144.4530 },
+    { name: 'Woodend', postcode: '3442', zone: 'central-highlands', latitude: -37.3560, longitude: 144.5280 },
+    { name: 'Gisborne', postcode: '3437', zone: 'central-highlands', latitude: -37.4900, longitude: 144.5890 },
+    { name: 'Ballan', postcode: '3342', zone: 'central-highlands', latitude: -37.6000, longitude: 144.2270 },
+    { name: 'Myrniong', postcode: '3341', zone: 'central-highlands', latitude: -37.6170, longitude: 144.3500 },
+    { name: 'Dales Creek', postcode: '3341', zone: 'central-highlands', latitude: -37.5330, longitude: 144.3000 },
+    { name: 'Bacchus Marsh', postcode: '3340', zone: 'central-highlands', latitude: -37.6750, longitude: 144.4380 },
+    { name: 'Hopetoun Park', postcode: '3340', zone: 'central-highlands', latitude: -37.6900, longitude: 144.5200 },
+    { name: 'Balliang', postcode: '3340', zone: 'central-highlands', latitude: -37.8000, longitude: 144.3500 },
+    { name: 'Bunbartha', postcode: '3634', zone: 'central-highlands', latitude: -36.2170, longitude: 145.3330 },
+];
@@ -0,0 +1,58 @@
+/**
+ * The beef boxes we sell. Prices, the hero pricing cards, the box sizes in
+ * "What's in the Box" and the Offer schema all come from this list, so change
+ * a price here and the whole site follows. The product ID is also the key
+ * used for per-drop allocations in src/content/drops.
+ */
+
+export type ProductId = '5kg' | '10kg';
+
+export interface CutShare {
+    /** Cut group as we describe it to customers, e.g. "Steaks". */
+    name: string;
+    /** Examples of the cuts in this group. */
+    examples: string;
+    /** Typical weight of this group in the box, in kilograms. */
+    weightKg: number;
+}
+
+export interface Product {
+    id: ProductId;
+    name: string;
+    weightKg: number;
+    /** Box price in whole dollars, GST inclusive. */
+    price: number;
+    /** Who the box suits, shown under the size. */
+    serves: string;
+    /** Typical breakdown. Boxes vary a little with each beast. */
+    cuts: CutShare[];
+}
+
+export const products: Product[] = [
+    {
+        id: '5kg',
+        name: '5kg Beef Box',
+        weightKg: 5,
+        price: 150,
+        serves: 'Perfect for couples',
+        cuts: [
+            { name: 'Steaks', examples: 'scotch fillet, porterhouse, rump', weightKg: 1.25 },
+            { name: 'Roasts', examples: 'topside, silverside, blade', weightKg: 1.25 },
+            { name: 'Mince', examples: 'premium lean mince', weightKg: 1.5 },
+            { name: 'Sausages', examples: 'thick beef sausages', weightKg: 1 },
+        ],
+    },
+    {
+        id: '10kg',
+        name: '10kg Beef Box',
+        weightKg: 10,
+        price: 240,
+        serves: 'Great for families',
+        cuts: [
+            { name: 'Steaks', examples: 'scotch fillet, porterhouse, rump', weightKg: 2.5 },
+            { name: 'Roasts', examples: 'topside, silverside, blade', weightKg: 2.5 },
+            { name: 'Mince', examples: 'premium lean mince', weightKg: 3 },
+            { name: 'Sausages', examples: 'thick beef sausages', weightKg: 2 },
+        ],
+    },
+];
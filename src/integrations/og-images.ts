@@ -0,0 +1,92 @@
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import type { AstroIntegration } from 'astro';
+import { OG_DEFAULTS, OG_META_PREFIX, type OgImageData } from '../lib/og/pages';
+import { OgImageRenderer } from '../lib/og/render';
+
+const entities: Record<string, string> = { amp: '&', quot: '"', '#39': "'", '#x27': "'", lt: '<', gt: '>' };
+
+function decode(value: string): string {
+    return value.replace(/&(amp|quot|#39|#x27|lt|gt);/g, (_, entity: string) => entities[entity]);
+}
+
+const escapeRegExp = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Reads a `<meta name|property="..." content="...">` value from built HTML. */
+function meta(html: string, key: string): string | undefined {
+    const match = html.match(new RegExp(`<meta (?:name|property)="${escapeRegExp(key)}" content="([^"]*)"`));
+    return match ? decode(match[1]) : undefined;
+}
+
+/** Removes the `og-image:*` tags, which only this build step reads. */
+function stripOgMeta(html: string): string {
+    const pattern = new RegExp(`<meta name="${escapeRegExp(OG_META_PREFIX)}[^"]*" content="[^"]*"\\s*/?>`, 'g');
+    return html.replace(pattern, '');
+}
+
+async function htmlFiles(dir: string): Promise<string[]> {
+    const files: string[] = [];
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...(await htmlFiles(path)));
+        } else if (entry.name.endsWith('.html')) {
+            files.push(path);
+        }
+    }
+    return files;
+}
+
+/**
+ * Renders an OG image for every built page whose og:image points under /og/
+ * (Layout.astro's default), using the page's `og-image:*` meta tags, then
+ * strips those tags from every page. Runs before the adapter copies the
+ * output, so the images ship with the site and the tags don't.
+ */
+export default function ogImages(): AstroIntegration {
+    let root = '';
+    let site = '';
+
+    return {
+        name: 'ferguson:og-images',
+        hooks: {
+            'astro:config:done': ({ config }) => {
+                root = fileURLToPath(config.root);
+                site = config.site ?? '';
+            },
+            'astro:build:generated': async ({ dir, logger }) => {
+                const outDir = fileURLToPath(dir);
+                const renderer = new OgImageRenderer(root);
+                let count = 0;
+
+                for (const file of await htmlFiles(outDir)) {
+                    const html = await readFile(file, 'utf8');
+                    const stripped = stripOgMeta(html);
+                    if (stripped !== html) {
+                        await writeFile(file, stripped);
+                    }
+
+                    const image = meta(html, 'og:image');
+                    const path = image?.startsWith(site) ? image.slice(site.length) : image;
+                    if (!path?.startsWith('/og/')) continue;
+
+                    const data: OgImageData = {
+                        title: meta(html, `${OG_META_PREFIX}title`) ?? OG_DEFAULTS.title,
+                        subtitle: meta(html, `${OG_META_PREFIX}subtitle`) ?? OG_DEFAULTS.subtitle,
+                        badge: meta(html, `${OG_META_PREFIX}badge`) ?? OG_DEFAULTS.badge,
+                        background: meta(html, `${OG_META_PREFIX}background`) ?? OG_DEFAULTS.background,
+                    };
+
+                    const output = join(outDir, path);
+                    await mkdir(dirname(output), { recursive: true });
+                    await writeFile(output, await renderer.render(data));
+                    logger.info(`${path} (from ${relative(outDir, file)})`);
+                    count++;
+                }
+
+                logger.info(`Generated ${count} OG image${count === 1 ? '' : 's'}`);
+            },
+        },
+    };
+}
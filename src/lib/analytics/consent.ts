@@ -0,0 +1,52 @@
+/**
+ * Cookie consent, kept in localStorage. Trackers are grouped by category and
+ * only load once their category is granted; essential storage (this record,
+ * the referral code) needs no consent.
+ */
+
+export type ConsentCategory = 'analytics' | 'marketing';
+
+export const CONSENT_CATEGORIES: ConsentCategory[] = ['analytics', 'marketing'];
+
+export type Consent = Record<ConsentCategory, boolean>;
+
+interface StoredConsent extends Consent {
+    /** Bump CONSENT_VERSION when trackers change so everyone is asked again. */
+    version: number;
+    updatedAt: string;
+}
+
+const STORAGE_KEY = 'fl_consent';
+const CONSENT_VERSION = 1;
+
+const listeners = new Set<(consent: Consent, previous: Consent | null) => void>();
+
+/** The visitor's choice, or null if they haven't made one yet. */
+export function getConsent(): Consent | null {
+    try {
+        const stored: StoredConsent | null = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? 'null');
+        if (!stored || stored.version !== CONSENT_VERSION) return null;
+        return { analytics: stored.analytics === true, marketing: stored.marketing === true };
+    } catch {
+        return null;
+    }
+}
+
+export function setConsent(consent: Consent): void {
+    const previous = getConsent();
+    const stored: StoredConsent = { ...consent, version: CONSENT_VERSION, updatedAt: new Date().toISOString() };
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    } catch {
+        // Storage blocked: the choice still applies for this page view
+    }
+    listeners.forEach((listener) => listener(consent, previous));
+}
+
+export function hasConsent(category: ConsentCategory): boolean {
+    return getConsent()?.[category] ?? false;
+}
+
+export function onConsentChange(listener: (consent: Consent, previous: Consent | null) => void): void {
+    listeners.add(listener);
+}
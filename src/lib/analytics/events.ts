@@ -0,0 +1,25 @@
+/**
+ * Every analytics event the site sends, with its parameters. Components call
+ * track() from ./index with one of these; the providers decide what (if
+ * anything) each tracker receives, so there's one list to check when adding
+ * or renaming an event.
+ */
+export interface AnalyticsEvents {
+    /** The wait-list form scrolled into view. */
+    form_viewed: { form_id: string; form_location: string };
+    /** First focus on the wait-list form. */
+    form_started: { form_id: string; form_location: string };
+    /** Wait-list form sent and a verification code texted to the number. */
+    verification_sent: { form_id: string; form_location: string };
+    /** Number confirmed with the texted code, completing the sign-up. */
+    form_submitted: { form_id: string; form_location: string; postcode: string };
+    /** Landed on the thank-you page after signing up. */
+    signed_up: { method: string };
+    page_scrolled_to_bottom: Record<string, never>;
+    share_clicked: { method: 'native' | 'facebook' | 'copy_link' };
+    cta_clicked: { cta_location: string; cta_text: string };
+    outbound_clicked: { link_url: string; link_text: string };
+    faq_expanded: { question_text: string; question_index: number };
+}
+
+export type AnalyticsEvent = keyof AnalyticsEvents;
@@ -0,0 +1,69 @@
+import { getConsent, onConsentChange, type Consent } from './consent';
+import type { AnalyticsEvent, AnalyticsEvents } from './events';
+import { providers, type AnalyticsProvider } from './providers';
+
+/**
+ * Client-side analytics. Components call track() with an event from the
+ * catalogue in ./events; it goes to every tracker the visitor has consented
+ * to and is dropped otherwise. Trackers load the first time their consent
+ * category is granted, on this page view or a later one.
+ */
+
+const loaded = new Map<AnalyticsProvider, Promise<void>>();
+let initialised = false;
+
+function loadConsented(consent: Consent | null): void {
+    for (const provider of providers) {
+        if (consent?.[provider.category] && !loaded.has(provider)) {
+            loaded.set(
+                provider,
+                provider.load().catch((error) => {
+                    // Usually an ad blocker; the rest of the site carries on
+                    console.warn(`${provider.name} failed to load:`, error);
+                }),
+            );
+        }
+    }
+}
+
+/** Loads consented trackers and wires up data-cta / data-outbound links. Safe to call more than once. */
+export function initAnalytics(): void {
+    if (initialised) return;
+    initialised = true;
+
+    loadConsented(getConsent());
+    onConsentChange((consent, previous) => {
+        // A tracker that's already running can't be unloaded, so start the
+        // page afresh when consent is withdrawn
+        const withdrawn = previous && (Object.keys(consent) as (keyof Consent)[]).some((key) => previous[key] && !consent[key]);
+        if (withdrawn) {
+            window.location.reload();
+            return;
+        }
+        loadConsented(consent);
+    });
+
+    // Links tracked with attributes instead of inline handlers:
+    //   <a data-cta="header">Reserve Your Box</a>
+    //   <a data-outbound href="https://...">Facebook</a>
+    document.addEventListener('click', (event) => {
+        const target = event.target instanceof Element ? event.target : null;
+        const cta = target?.closest<HTMLElement>('[data-cta]');
+        if (cta) {
+            track('cta_clicked', { cta_location: cta.dataset.cta ?? '', cta_text: cta.textContent?.trim() ?? '' });
+        }
+        const outbound = target?.closest<HTMLAnchorElement>('a[data-outbound]');
+        if (outbound) {
+            track('outbound_clicked', { link_url: outbound.href, link_text: outbound.textContent?.trim() ?? '' });
+        }
+    });
+}
+
+export function track<E extends AnalyticsEvent>(event: E, params: AnalyticsEvents[E]): void {
+    initAnalytics();
+    for (const [provider, ready] of loaded) {
+        ready.then(() => provider.track(event, params));
+    }
+}
+
+export type { AnalyticsEvent, AnalyticsEvents };
@@ -0,0 +1,149 @@
+import type { ConsentCategory } from './consent';
+import type { AnalyticsEvent, AnalyticsEvents } from './events';
+
+/**
+ * The trackers we use. Each one loads its own script and translates catalogue
+ * events into its own calls. To add or remove a tracker, edit `providers` at
+ * the bottom of this file; nothing else on the site refers to them directly.
+ */
+
+declare global {
+    interface Window {
+        dataLayer?: unknown[];
+        gtag?: (...args: unknown[]) => void;
+        fbq?: (...args: unknown[]) => void;
+        _fbq?: Window['fbq'];
+        hj?: (...args: unknown[]) => void;
+        _hjSettings?: { hjid: number; hjsv: number };
+        posthog?: { capture: (event: string, properties?: Record<string, unknown>) => void };
+        posthogCustomizations?: { sampleByEvent: (events: string[], rate: number) => unknown };
+    }
+}
+
+export interface AnalyticsProvider {
+    name: string;
+    category: ConsentCategory;
+    /** Adds the tracker's script. Called once, after consent. */
+    load(): Promise<void>;
+    track<E extends AnalyticsEvent>(event: E, params: AnalyticsEvents[E]): void;
+}
+
+function loadScript(src: string): Promise<void> {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.async = true;
+        script.crossOrigin = 'anonymous';
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+const GA_MEASUREMENT_ID = 'G-EZVFVWV5YQ';
+const HOTJAR_ID = 6594793;
+const META_PIXEL_ID = '1517004342893353';
+const POSTHOG_KEY = 'phc_leTfEhUnTu4mChTuZITgIomClAZkNdEXGxMJLJCLeRo';
+const POSTHOG_HOST = 'https://us.i.posthog.com';
+
+// GA4 keeps the event names we've always reported under
+const gaEventNames: Partial<Record<AnalyticsEvent, string>> = {
+    form_started: 'form_start',
+    form_submitted: 'generate_lead',
+    signed_up: 'sign_up',
+    cta_clicked: 'cta_click',
+    outbound_clicked: 'outbound_click',
+    faq_expanded: 'faq_expand',
+    share_clicked: 'share',
+};
+
+const googleAnalytics: AnalyticsProvider = {
+    name: 'Google Analytics',
+    category: 'analytics',
+    async load() {
+        window.dataLayer = window.dataLayer || [];
+        // gtag.js only reads the arguments object itself, not a copy of it
+        window.gtag = function gtag() {
+            window.dataLayer!.push(arguments);
+        };
+        window.gtag('js', new Date());
+        window.gtag('config', GA_MEASUREMENT_ID);
+        await loadScript(`https://www.googletagmanager.com/gtag/js?id=${GA_MEASUREMENT_ID}`);
+    },
+    track(event, params) {
+        window.gtag?.('event', gaEventNames[event] ?? event, params);
+        if (event === 'signed_up') {
+            window.gtag?.('event', 'ads_conversion_Submit_lead_form_1');
+        }
+    },
+};
+
+const hotjar: AnalyticsProvider = {
+    name: 'Hotjar',
+    category: 'analytics',
+    async load() {
+        if (!window.hj) {
+            const hj: any = (...args: unknown[]) => (hj.q = hj.q || []).push(args);
+            window.hj = hj;
+        }
+        window._hjSettings = { hjid: HOTJAR_ID, hjsv: 6 };
+        await loadScript(`https://static.hotjar.com/c/hotjar-${HOTJAR_ID}.js?sv=6`);
+    },
+    // Hotjar records sessions; it doesn't take our events
+    track() {},
+};
+
+// Meta only gets the standard events we optimise ads for
+const metaEvents: Partial<Record<AnalyticsEvent, [string, Record<string, string>]>> = {
+    form_viewed: ['ViewContent', { content_name: 'Waitlist Form', content_category: 'Lead Form' }],
+    signed_up: ['Lead', { content_name: 'Waitlist Signup', content_category: 'Lead Form' }],
+};
+
+const metaPixel: AnalyticsProvider = {
+    name: 'Meta Pixel',
+    category: 'marketing',
+    async load() {
+        if (!window.fbq) {
+            // Meta's stub: queue calls until fbevents.js takes over
+            const stub: any = (...args: unknown[]) => (stub.callMethod ? stub.callMethod(...args) : stub.queue.push(args));
+            Object.assign(stub, { push: stub, loaded: true, version: '2.0', queue: [] });
+            window.fbq = window._fbq = stub;
+        }
+        const fbq = window.fbq!;
+        fbq('init', META_PIXEL_ID);
+        fbq('track', 'PageView');
+        await loadScript('https://connect.facebook.net/en_US/fbevents.js');
+    },
+    track(event) {
+        const standard = metaEvents[event];
+        if (standard) {
+            window.fbq?.('track', ...standard);
+        }
+    },
+};
+
+const posthog: AnalyticsProvider = {
+    name: 'PostHog',
+    category: 'analytics',
+    async load() {
+        await loadScript(`${POSTHOG_HOST}/static/customizations.full.js`);
+        const config = {
+            api_host: POSTHOG_HOST,
+            defaults: '2025-05-24',
+            before_send: window.posthogCustomizations?.sampleByEvent(['$web_vitals'], 1),
+        };
+
+        // array.js initialises whatever the snippet stub queued in `_i`, then
+        // replaces window.posthog with the real client
+        const stub: any = [];
+        stub._i = [[POSTHOG_KEY, config]];
+        stub.__SV = 1;
+        window.posthog = stub;
+        await loadScript(`${POSTHOG_HOST}/static/array.js`);
+    },
+    track(event, params) {
+        window.posthog?.capture(event, params);
+    },
+};
+
+export const providers: AnalyticsProvider[] = [googleAnalytics, hotjar, metaPixel, posthog];
@@ -0,0 +1,67 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import type { Logger } from './logger';
+import { requireSecret } from './secrets';
+
+/**
+ * Cheap bot checks for the wait-list form: a honeypot field real people never
+ * see, and a signed timestamp issued when the form loads. Bots tend to post
+ * straight away or replay an old token; people take a few seconds.
+ */
+
+/** Name of the hidden input that should always come back empty. */
+export const HONEYPOT_FIELD = 'website';
+
+const MIN_AGE_MS = 2_000;
+const MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+export type BlockReason = 'honeypot' | 'invalid_token' | 'too_fast' | 'token_expired' | 'rate_limited_ip' | 'rate_limited_phone';
+
+// Without a shared secret, tokens issued by one instance would fail on the next
+function secret(): string {
+    return requireSecret('FORM_TOKEN_SECRET', import.meta.env.FORM_TOKEN_SECRET);
+}
+
+function sign(issuedAt: string): string {
+    return createHmac('sha256', secret()).update(issuedAt).digest('base64url');
+}
+
+export function issueFormToken(now: Date = new Date()): string {
+    const issuedAt = String(now.getTime());
+    return `${issuedAt}.${sign(issuedAt)}`;
+}
+
+/** Returns why the token should be refused, or null if it's fine. */
+export function checkFormToken(token: unknown, now: Date = new Date()): BlockReason | null {
+    if (typeof token !== 'string') return 'invalid_token';
+
+    const [issuedAt, signature] = token.split('.');
+    if (!issuedAt || !signature || !/^\d+$/.test(issuedAt)) return 'invalid_token';
+
+    const encoder = new TextEncoder();
+    const expected = encoder.encode(sign(issuedAt));
+    const actual = encoder.encode(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+        return 'invalid_token';
+    }
+
+    const age = now.getTime() - Number(issuedAt);
+    if (age < MIN_AGE_MS) return 'too_fast';
+    if (age > MAX_AGE_MS) return 'token_expired';
+    return null;
+}
+
+export function isHoneypotFilled(value: unknown): boolean {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+const blockedCounts = new Map<BlockReason, number>();
+
+/**
+ * Logs a blocked attempt to the route's logger with a running per-reason
+ * count, so abuse shows up in the logs without storing who made the attempt.
+ */
+export function recordBlocked(log: Logger, reason: BlockReason): void {
+    const count = (blockedCounts.get(reason) ?? 0) + 1;
+    blockedCounts.set(reason, count);
+    log.warn('request.blocked', { reason, count });
+}
@@ -0,0 +1,195 @@
+import { zones } from './delivery-zones';
+import { TIME_ZONE, type Drop } from './drops';
+
+/**
+ * iCalendar (RFC 5545) events for drops: the order window and each delivery
+ * day, with reminders, so customers can put them in their own calendar
+ * instead of waiting for a text. Delivery days are timed in Melbourne time and
+ * carry a VTIMEZONE, so they land correctly on phones set to any timezone; the
+ * order window is an all-day span, which calendars keep on the same dates
+ * everywhere.
+ */
+
+const SITE_URL = 'https://fergusonlivestock.com.au';
+const UID_DOMAIN = 'fergusonlivestock.com.au';
+
+// Our usual delivery hours. The exact time for each stop is texted on the day.
+const DELIVERY_START = '080000';
+const DELIVERY_END = '180000';
+
+export interface CalendarEvent {
+    uid: string;
+    summary: string;
+    description: string;
+    /** YYYY-MM-DD. All-day events span start to end inclusive. */
+    start: string;
+    end: string;
+    /** Local HHMMSS times in Melbourne; omit both for an all-day event. */
+    startTime?: string;
+    endTime?: string;
+    /** iCalendar duration relative to the start, e.g. "-PT12H" or "PT9H". */
+    reminder?: { trigger: string; description: string };
+    url?: string;
+}
+
+// Melbourne has observed AEDT from the first Sunday in October to the first
+// Sunday in April since 2008
+const MELBOURNE_VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIME_ZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700405T030000',
+    'RRULE:FREQ=YEARLY;BYMONTH=4;BYDAY=1SU',
+    'TZOFFSETFROM:+1100',
+    'TZOFFSETTO:+1000',
+    'TZNAME:AEST',
+    'END:STANDARD',
+    'BEGIN:DAYLIGHT',
+    'DTSTART:19701004T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=1SU',
+    'TZOFFSETFROM:+1000',
+    'TZOFFSETTO:+1100',
+    'TZNAME:AEDT',
+    'END:DAYLIGHT',
+    'END:VTIMEZONE',
+];
+
+const compactDate = (date: string) => date.replace(/-/g, '');
+
+function nextDay(date: string): string {
+    const day = new Date(`${date}T12:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + 1);
+    return day.toISOString().slice(0, 10);
+}
+
+function formatDay(date: string, options: Intl.DateTimeFormatOptions): string {
+    return new Intl.DateTimeFormat('en-AU', { timeZone: 'UTC', ...options }).format(new Date(`${date}T12:00:00Z`));
+}
+
+const weekday = (date: string) => formatDay(date, { weekday: 'long' });
+
+function escapeText(value: string): string {
+    return value.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/** Folds a content line to 75 octets, as the spec requires. */
+function fold(line: string): string {
+    const bytes = new TextEncoder().encode(line);
+    if (bytes.length <= 75) return line;
+
+    const parts: string[] = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = new TextEncoder().encode(char).length;
+        // Continuation lines start with a space, which counts towards the 75
+        if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function eventLines(event: CalendarEvent, stamp: string): string[] {
+    const timed = event.startTime !== undefined && event.endTime !== undefined;
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp}`,
+        timed
+            ? `DTSTART;TZID=${TIME_ZONE}:${compactDate(event.start)}T${event.startTime}`
+            : `DTSTART;VALUE=DATE:${compactDate(event.start)}`,
+        timed
+            ? `DTEND;TZID=${TIME_ZONE}:${compactDate(event.end)}T${event.endTime}`
+            : `DTEND;VALUE=DATE:${compactDate(nextDay(event.end))}`,
+        `SUMMARY:${escapeText(event.summary)}`,
+        `DESCRIPTION:${escapeText(event.description)}`,
+        ...(event.url ? [`URL:${event.url}`] : []),
+        // Free time, so an all-day order window doesn't block anyone's day
+        `TRANSP:${timed ? 'OPAQUE' : 'TRANSPARENT'}`,
+    ];
+    if (event.reminder) {
+        lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `TRIGGER:${event.reminder.trigger}`,
+            `DESCRIPTION:${escapeText(event.reminder.description)}`,
+            'END:VALARM',
+        );
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/** A complete VCALENDAR document with CRLF line endings. */
+export function icsCalendar(name: string, events: CalendarEvent[], now: Date = new Date()): string {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Ferguson Livestock//Beef Drops//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${TIME_ZONE}`,
+        // Ask subscribed calendars to check for new drops daily
+        'REFRESH-INTERVAL;VALUE=DURATION:P1D',
+        'X-PUBLISHED-TTL:P1D',
+        ...MELBOURNE_VTIMEZONE,
+        ...events.flatMap((event) => eventLines(event, stamp)),
+        'END:VCALENDAR',
+    ];
+    return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+/** Order window (unless it has sold out) and delivery days for one drop. */
+export function dropEvents(drop: Drop): CalendarEvent[] {
+    const { name, ordersOpen, ordersClose, deliveryDays, status } = drop.data;
+    const events: CalendarEvent[] = [];
+
+    if (status !== 'sold-out') {
+        events.push({
+            uid: `${drop.id}-orders@${UID_DOMAIN}`,
+            summary: `Ferguson Livestock: ${name} orders open`,
+            description: `Orders for our ${name} beef boxes are open until ${formatDay(ordersClose, { weekday: 'long', day: 'numeric', month: 'long' })}. Boxes are limited, so get in early: ${SITE_URL}/#reserve`,
+            start: ordersOpen,
+            end: ordersClose,
+            // 9am on the day orders open
+            reminder: { trigger: 'PT9H', description: `${name} orders are open` },
+            url: `${SITE_URL}/#reserve`,
+        });
+    }
+
+    deliveryDays.forEach((day, index) => {
+        const areas = zones.filter((zone) => zone.deliveryDay === weekday(day)).map((zone) => zone.name);
+        events.push({
+            uid: `${drop.id}-delivery-${index + 1}@${UID_DOMAIN}`,
+            summary: `Ferguson Livestock: ${name} delivery`,
+            description: [
+                `We're delivering ${name} beef boxes${areas.length > 0 ? ` to ${areas.join(' and ')}` : ''}.`,
+                "We'll text you when we're on our way. Make some room in the freezer!",
+            ].join(' '),
+            start: day,
+            end: day,
+            startTime: DELIVERY_START,
+            endTime: DELIVERY_END,
+            // 8pm the night before
+            reminder: { trigger: '-PT12H', description: `${name} beef boxes are delivered tomorrow` },
+            url: SITE_URL,
+        });
+    });
+
+    return events;
+}
+
+/** Path of a drop's downloadable calendar file. */
+export function dropCalendarPath(drop: Drop): string {
+    return `/calendar/${drop.id}.ics`;
+}
+
+export const CALENDAR_FEED_PATH = '/calendar.ics';
@@ -0,0 +1,218 @@
+import { getProduct, type Product, type ProductId } from './products';
+
+/**
+ * Splits one beast's packed cuts across the boxes ordered for a drop. Each
+ * box aims for its catalogue mix (src/data/products.ts), scaled to what the
+ * butcher actually packed, and packs are handed out one at a time to the box
+ * furthest short of its share so every box ends up with a similar weight and
+ * a spread of cuts.
+ */
+
+/** One line of the butcher's cut sheet, e.g. 12 × 0.4kg packs of scotch fillet. */
+export interface CutSheetLine {
+    cut: string;
+    /** Cut group from the product catalogue, e.g. "Steaks" or "Mince". */
+    group: string;
+    packs: number;
+    packWeightKg: number;
+}
+
+export interface CutSheet {
+    /** Hot standard carcass weight from the abattoir docket. */
+    hangingWeightKg: number;
+    lines: CutSheetLine[];
+}
+
+export interface Pack {
+    cut: string;
+    group: string;
+    weightKg: number;
+}
+
+export interface PackedBox {
+    /** e.g. "10kg #3", used on packing lists and labels. */
+    label: string;
+    productId: ProductId;
+    targetKg: number;
+    weightKg: number;
+    packs: Pack[];
+}
+
+export interface Allocation {
+    hangingWeightKg: number;
+    /** Total weight on the cut sheet. */
+    packedKg: number;
+    /** Packed weight as a share of hanging weight, e.g. 62 for 62%. */
+    yieldPercent: number;
+    orderedKg: number;
+    boxes: PackedBox[];
+    /** Packs that would push every box over its target weight. */
+    unallocated: Pack[];
+    /** Groups where the beast came up short of what the boxes need. */
+    shortfalls: { group: string; neededKg: number; packedKg: number }[];
+}
+
+export class CutSheetError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'CutSheetError';
+    }
+}
+
+const round = (kg: number) => Math.round(kg * 100) / 100;
+
+function validateCutSheet(sheet: CutSheet, groups: Set<string>): void {
+    if (!(sheet.hangingWeightKg > 0)) {
+        throw new CutSheetError('Hanging weight must be greater than 0');
+    }
+    if (!Array.isArray(sheet.lines) || sheet.lines.length === 0) {
+        throw new CutSheetError('The cut sheet has no lines');
+    }
+    for (const line of sheet.lines) {
+        if (!groups.has(line.group)) {
+            throw new CutSheetError(`"${line.cut}" has unknown group "${line.group}" (expected ${[...groups].join(', ')})`);
+        }
+        if (!Number.isInteger(line.packs) || line.packs < 0 || !(line.packWeightKg > 0)) {
+            throw new CutSheetError(`"${line.cut}" needs a whole number of packs and a pack weight above 0`);
+        }
+    }
+}
+
+/** Expands the ordered box counts into individual boxes, biggest first. */
+function orderedBoxes(orders: Partial<Record<ProductId, number>>): { label: string; product: Product }[] {
+    const boxes: { label: string; product: Product }[] = [];
+    for (const [id, count] of Object.entries(orders)) {
+        const product = getProduct(id);
+        if (!product) {
+            throw new CutSheetError(`Unknown box "${id}"`);
+        }
+        for (let i = 1; i <= (count ?? 0); i++) {
+            boxes.push({ label: `${product.id} #${i}`, product });
+        }
+    }
+    return boxes.sort((a, b) => b.product.weightKg - a.product.weightKg);
+}
+
+export function allocateCuts(sheet: CutSheet, orders: Partial<Record<ProductId, number>>): Allocation {
+    const boxes = orderedBoxes(orders);
+    if (boxes.length === 0) {
+        throw new CutSheetError('No boxes ordered');
+    }
+
+    const groups = new Set(boxes.flatMap(({ product }) => product.cuts.map((cut) => cut.name)));
+    validateCutSheet(sheet, groups);
+
+    const packed = boxes.map(({ label, product }) => ({
+        label,
+        productId: product.id,
+        targetKg: product.weightKg,
+        weightKg: 0,
+        packs: [] as Pack[],
+    }));
+    const unallocated: Pack[] = [];
+    const shortfalls: Allocation['shortfalls'] = [];
+
+    for (const group of groups) {
+        const lines = sheet.lines
+            .filter((line) => line.group === group)
+            .sort((a, b) => b.packWeightKg - a.packWeightKg);
+        const packedKg = lines.reduce((sum, line) => sum + line.packs * line.packWeightKg, 0);
+
+        // What each box wants from this group, per the catalogue mix
+        const wanted = boxes.map(({ product }) => product.cuts.find((cut) => cut.name === group)?.weightKg ?? 0);
+        const neededKg = wanted.reduce((sum, kg) => sum + kg, 0);
+        if (packedKg < neededKg) {
+            shortfalls.push({ group, neededKg: round(neededKg), packedKg: round(packedKg) });
+        }
+
+        // When the beast is short, every box gives up the same share
+        const scale = neededKg > 0 ? Math.min(1, packedKg / neededKg) : 0;
+        const received = wanted.map(() => 0);
+
+        // Deal out the largest packs first, alternating between cuts so one
+        // box doesn't get all the scotch fillet and another all the rump
+        const queue: Pack[] = [];
+        const remaining = lines.map((line) => line.packs);
+        while (remaining.some((count) => count > 0)) {
+            lines.forEach((line, i) => {
+                if (remaining[i] > 0) {
+                    queue.push({ cut: line.cut, group, weightKg: line.packWeightKg });
+                    remaining[i]--;
+                }
+            });
+        }
+
+        for (const pack of queue) {
+            // Of the boxes still short of their share (by more than half the
+            // pack), prefer one with fewest packs of this cut, then the one
+            // furthest from its share
+            let best = -1;
+            let bestScore: [number, number] = [Infinity, 0];
+            wanted.forEach((kg, i) => {
+                const target = kg * scale;
+                const shortfall = target - received[i];
+                if (target <= 0 || shortfall <= pack.weightKg / 2) return;
+
+                const sameCut = packed[i].packs.filter((p) => p.cut === pack.cut).length;
+                const score: [number, number] = [sameCut, shortfall / target];
+                if (score[0] < bestScore[0] || (score[0] === bestScore[0] && score[1] > bestScore[1])) {
+                    best = i;
+                    bestScore = score;
+                }
+            });
+
+            if (best === -1) {
+                unallocated.push(pack);
+                continue;
+            }
+            received[best] += pack.weightKg;
+            packed[best].packs.push(pack);
+            packed[best].weightKg += pack.weightKg;
+        }
+    }
+
+    // Rounding to whole packs leaves most boxes a little light, so top them
+    // up from whatever is left over, biggest packs first
+    const leftovers = unallocated.splice(0).sort((a, b) => b.weightKg - a.weightKg);
+    for (const pack of leftovers) {
+        let best = -1;
+        let bestShortfall = 0;
+        packed.forEach((box, i) => {
+            const shortfall = box.targetKg - box.weightKg;
+            if (shortfall > pack.weightKg / 2 && shortfall / box.targetKg > bestShortfall) {
+                best = i;
+                bestShortfall = shortfall / box.targetKg;
+            }
+        });
+
+        if (best === -1) {
+            unallocated.push(pack);
+            continue;
+        }
+        packed[best].packs.push(pack);
+        packed[best].weightKg += pack.weightKg;
+    }
+
+    const packedKg = sheet.lines.reduce((sum, line) => sum + line.packs * line.packWeightKg, 0);
+    return {
+        hangingWeightKg: sheet.hangingWeightKg,
+        packedKg: round(packedKg),
+        yieldPercent: Math.round((packedKg / sheet.hangingWeightKg) * 100),
+        orderedKg: boxes.reduce((sum, { product }) => sum + product.weightKg, 0),
+        boxes: packed.map((box) => ({ ...box, weightKg: round(box.weightKg) })),
+        unallocated,
+        shortfalls,
+    };
+}
+
+/** Groups a box's packs into packing-list lines, e.g. "Scotch fillet × 2 (0.8kg)". */
+export function packingList(box: PackedBox): { cut: string; group: string; packs: number; weightKg: number }[] {
+    const lines = new Map<string, { cut: string; group: string; packs: number; weightKg: number }>();
+    for (const pack of box.packs) {
+        const line = lines.get(pack.cut) ?? { cut: pack.cut, group: pack.group, packs: 0, weightKg: 0 };
+        line.packs++;
+        line.weightKg = round(line.weightKg + pack.weightKg);
+        lines.set(pack.cut, line);
+    }
+    return [...lines.values()];
+}
@@ -0,0 +1,110 @@
+import { join } from 'node:path';
+import { appendJsonLine, readJson, readJsonLines, withLock, writeJson, writeJsonLines } from '../storage';
+import type { DataStore } from './types';
+
+interface Entry {
+    value: unknown;
+    expiresAt?: number;
+}
+
+const expiry = (ttlSeconds?: number) => (ttlSeconds === undefined ? undefined : Date.now() + ttlSeconds * 1000);
+
+function liveValue(entry: Entry | undefined): unknown {
+    return !entry || (entry.expiresAt !== undefined && entry.expiresAt <= Date.now()) ? undefined : entry.value;
+}
+
+/**
+ * Keyed values in one JSON file and each list in its own JSON Lines file,
+ * e.g. dead-letters.jsonl. Only for local development and single-server
+ * deployments: serverless filesystems are read-only or ephemeral.
+ */
+export class FileDataStore implements DataStore {
+    readonly name = 'file';
+
+    constructor(private readonly dir: string) {}
+
+    private get valuesPath(): string {
+        return join(this.dir, 'store.json');
+    }
+
+    private listPath(key: string): string {
+        if (!/^[a-z0-9-]+$/.test(key)) {
+            throw new Error(`List key "${key}" can't be used as a file name`);
+        }
+        return join(this.dir, `${key}.jsonl`);
+    }
+
+    /** Runs `fn` on the unexpired values and saves whatever it leaves. */
+    private update<T>(fn: (values: Record<string, Entry>) => T): Promise<T> {
+        return withLock(this.valuesPath, async () => {
+            const values = await readJson<Record<string, Entry>>(this.valuesPath, {});
+            const now = Date.now();
+            for (const [key, entry] of Object.entries(values)) {
+                if (entry.expiresAt !== undefined && entry.expiresAt <= now) {
+                    delete values[key];
+                }
+            }
+            const result = fn(values);
+            await writeJson(this.valuesPath, values);
+            return result;
+        });
+    }
+
+    private async readValues(): Promise<Record<string, Entry>> {
+        return readJson<Record<string, Entry>>(this.valuesPath, {});
+    }
+
+    async get<T>(key: string): Promise<T | undefined> {
+        return liveValue((await this.readValues())[key]) as T | undefined;
+    }
+
+    async getMany<T>(keys: string[]): Promise<(T | undefined)[]> {
+        const values = await this.readValues();
+        return keys.map((key) => liveValue(values[key]) as T | undefined);
+    }
+
+    set(key: string, value: unknown, ttlSeconds?: number): Promise<void> {
+        return this.update((values) => {
+            values[key] = { value, expiresAt: expiry(ttlSeconds) };
+        });
+    }
+
+    setIfAbsent(key: string, value: unknown, ttlSeconds?: number): Promise<boolean> {
+        return this.update((values) => {
+            if (key in values) return false;
+            values[key] = { value, expiresAt: expiry(ttlSeconds) };
+            return true;
+        });
+    }
+
+    delete(key: string): Promise<boolean> {
+        return this.update((values) => {
+            const existed = key in values;
+            delete values[key];
+            return existed;
+        });
+    }
+
+    increment(key: string, ttlSeconds: number): Promise<number> {
+        return this.update((values) => {
+            const entry = values[key] ?? { value: 0, expiresAt: Date.now() + ttlSeconds * 1000 };
+            entry.value = (entry.value as number) + 1;
+            values[key] = entry;
+            return entry.value as number;
+        });
+    }
+
+    append(key: string, value: unknown): Promise<void> {
+        const path = this.listPath(key);
+        return withLock(path, () => appendJsonLine(path, value));
+    }
+
+    list<T>(key: string): Promise<T[]> {
+        return readJsonLines<T>(this.listPath(key));
+    }
+
+    replaceList(key: string, values: unknown[]): Promise<void> {
+        const path = this.listPath(key);
+        return withLock(path, () => writeJsonLines(path, values));
+    }
+}
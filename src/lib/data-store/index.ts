@@ -0,0 +1,47 @@
+import { dataPath } from '../storage';
+import { ProviderConfigError } from '../subscribers/types';
+import { FileDataStore } from './file-store';
+import { KvDataStore } from './kv-store';
+import { MemoryDataStore } from './memory-store';
+import type { DataStore } from './types';
+
+export * from './types';
+
+let store: DataStore | undefined;
+
+/**
+ * The backend is chosen with DATA_STORE: "kv" (Upstash Redis / Vercel KV),
+ * "file" (under DATA_DIR) or "memory". It defaults to "kv" when
+ * KV_REST_API_URL is set, as it is once a Vercel KV database is connected,
+ * and to "file" otherwise. Vercel's filesystem doesn't keep anything between
+ * requests, so "file" and "memory" are refused there.
+ */
+export function getDataStore(): DataStore {
+    if (!store) {
+        const url = import.meta.env.KV_REST_API_URL;
+        const token = import.meta.env.KV_REST_API_TOKEN;
+        const backend = import.meta.env.DATA_STORE || (url ? 'kv' : 'file');
+
+        if (backend !== 'kv' && process.env.VERCEL) {
+            throw new ProviderConfigError(`DATA_STORE "${backend}" doesn't persist on Vercel; connect a KV database`);
+        }
+
+        switch (backend) {
+            case 'kv':
+                if (!url || !token) {
+                    throw new ProviderConfigError('Missing KV_REST_API_URL or KV_REST_API_TOKEN');
+                }
+                store = new KvDataStore({ url, token });
+                break;
+            case 'file':
+                store = new FileDataStore(dataPath());
+                break;
+            case 'memory':
+                store = new MemoryDataStore();
+                break;
+            default:
+                throw new ProviderConfigError(`Unknown DATA_STORE "${backend}"`);
+        }
+    }
+    return store;
+}
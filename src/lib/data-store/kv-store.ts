@@ -0,0 +1,97 @@
+import type { DataStore } from './types';
+
+export interface KvConfig {
+    /** REST endpoint of an Upstash Redis (Vercel KV) database. */
+    url: string;
+    token: string;
+}
+
+type Command = (string | number)[];
+
+const expiry = (ttlSeconds?: number): Command => (ttlSeconds === undefined ? [] : ['EX', ttlSeconds]);
+
+/**
+ * Redis over Upstash's REST API, which Vercel KV also speaks. Every server
+ * instance sees the same data, so this is the backend for production.
+ */
+export class KvDataStore implements DataStore {
+    readonly name = 'kv';
+
+    constructor(private readonly config: KvConfig) {}
+
+    /** Runs commands in order, as a transaction if `atomic`. */
+    private async exec(commands: Command[], atomic = false): Promise<unknown[]> {
+        const response = await fetch(`${this.config.url}/${atomic ? 'multi-exec' : 'pipeline'}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.config.token}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(commands),
+        });
+        if (!response.ok) {
+            throw new Error(`KV ${commands.map((command) => command[0]).join(', ')} failed with status ${response.status}`);
+        }
+
+        const results: { result?: unknown; error?: string }[] = await response.json();
+        return results.map((entry) => {
+            if (entry.error) throw new Error(`KV command failed: ${entry.error}`);
+            return entry.result;
+        });
+    }
+
+    private async command(...command: Command): Promise<unknown> {
+        const [result] = await this.exec([command]);
+        return result;
+    }
+
+    async get<T>(key: string): Promise<T | undefined> {
+        const value = await this.command('GET', key);
+        return typeof value === 'string' ? (JSON.parse(value) as T) : undefined;
+    }
+
+    async getMany<T>(keys: string[]): Promise<(T | undefined)[]> {
+        if (keys.length === 0) return [];
+        const values = (await this.command('MGET', ...keys)) as (string | null)[];
+        return values.map((value) => (typeof value === 'string' ? (JSON.parse(value) as T) : undefined));
+    }
+
+    async set(key: string, value: unknown, ttlSeconds?: number): Promise<void> {
+        await this.command('SET', key, JSON.stringify(value), ...expiry(ttlSeconds));
+    }
+
+    async setIfAbsent(key: string, value: unknown, ttlSeconds?: number): Promise<boolean> {
+        return (await this.command('SET', key, JSON.stringify(value), 'NX', ...expiry(ttlSeconds))) === 'OK';
+    }
+
+    async delete(key: string): Promise<boolean> {
+        return (await this.command('DEL', key)) === 1;
+    }
+
+    async increment(key: string, ttlSeconds: number): Promise<number> {
+        // One transaction: SET NX creates the counter with its expiry only if
+        // it's new, and INCR keeps that expiry, so no counter is left without one
+        const [, count] = await this.exec([
+            ['SET', key, 0, 'NX', 'EX', ttlSeconds],
+            ['INCR', key],
+        ], true);
+        return Number(count);
+    }
+
+    async append(key: string, value: unknown): Promise<void> {
+        await this.command('RPUSH', key, JSON.stringify(value));
+    }
+
+    async list<T>(key: string): Promise<T[]> {
+        const values = (await this.command('LRANGE', key, 0, -1)) as string[];
+        return values.map((value) => JSON.parse(value) as T);
+    }
+
+    async replaceList(key: string, values: unknown[]): Promise<void> {
+        const commands: Command[] = [['DEL', key]];
+        if (values.length > 0) {
+            commands.push(['RPUSH', key, ...values.map((value) => JSON.stringify(value))]);
+        }
+        await this.exec(commands, true);
+    }
+}
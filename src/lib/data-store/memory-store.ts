@@ -0,0 +1,71 @@
+import type { DataStore } from './types';
+
+interface Entry {
+    value: unknown;
+    expiresAt?: number;
+}
+
+/** Keeps everything for the life of the process. Handy for local runs. */
+export class MemoryDataStore implements DataStore {
+    readonly name = 'memory';
+
+    private values = new Map<string, Entry>();
+    private lists = new Map<string, unknown[]>();
+
+    private entry(key: string): Entry | undefined {
+        const entry = this.values.get(key);
+        if (entry?.expiresAt !== undefined && entry.expiresAt <= Date.now()) {
+            this.values.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    async get<T>(key: string): Promise<T | undefined> {
+        const entry = this.entry(key);
+        // Copied, so callers can't change what's stored by mutating the result
+        return entry === undefined ? undefined : structuredClone(entry.value as T);
+    }
+
+    async getMany<T>(keys: string[]): Promise<(T | undefined)[]> {
+        return Promise.all(keys.map((key) => this.get<T>(key)));
+    }
+
+    async set(key: string, value: unknown, ttlSeconds?: number): Promise<void> {
+        this.values.set(key, {
+            value: structuredClone(value),
+            expiresAt: ttlSeconds === undefined ? undefined : Date.now() + ttlSeconds * 1000,
+        });
+    }
+
+    async setIfAbsent(key: string, value: unknown, ttlSeconds?: number): Promise<boolean> {
+        if (this.entry(key) !== undefined) return false;
+        await this.set(key, value, ttlSeconds);
+        return true;
+    }
+
+    async delete(key: string): Promise<boolean> {
+        const existed = this.entry(key) !== undefined;
+        this.values.delete(key);
+        return existed;
+    }
+
+    async increment(key: string, ttlSeconds: number): Promise<number> {
+        const entry = this.entry(key) ?? { value: 0, expiresAt: Date.now() + ttlSeconds * 1000 };
+        entry.value = (entry.value as number) + 1;
+        this.values.set(key, entry);
+        return entry.value as number;
+    }
+
+    async append(key: string, value: unknown): Promise<void> {
+        this.lists.set(key, [...(this.lists.get(key) ?? []), structuredClone(value)]);
+    }
+
+    async list<T>(key: string): Promise<T[]> {
+        return structuredClone((this.lists.get(key) ?? []) as T[]);
+    }
+
+    async replaceList(key: string, values: unknown[]): Promise<void> {
+        this.lists.set(key, structuredClone(values));
+    }
+}
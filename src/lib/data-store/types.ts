@@ -0,0 +1,22 @@
+/**
+ * Storage for state that has to outlive a request and be seen by every
+ * server instance: idempotency results, queued sign-ups and the like. Values
+ * are JSON. Keyed values can expire; lists are kept until replaced.
+ */
+export interface DataStore {
+    readonly name: string;
+    get<T>(key: string): Promise<T | undefined>;
+    /** Several values in one round trip, in the order of `keys`. */
+    getMany<T>(keys: string[]): Promise<(T | undefined)[]>;
+    /** Stores a value, expiring after `ttlSeconds` if given. */
+    set(key: string, value: unknown, ttlSeconds?: number): Promise<void>;
+    /** Stores a value only if the key is free. Resolves to true for the one caller that stored it. */
+    setIfAbsent(key: string, value: unknown, ttlSeconds?: number): Promise<boolean>;
+    /** Resolves to true if the key existed, so a value can be claimed exactly once. */
+    delete(key: string): Promise<boolean>;
+    /** Adds one to a counter and returns the new count. The expiry starts with the first increment. */
+    increment(key: string, ttlSeconds: number): Promise<number>;
+    append(key: string, value: unknown): Promise<void>;
+    list<T>(key: string): Promise<T[]>;
+    replaceList(key: string, values: unknown[]): Promise<void>;
+}
@@ -0,0 +1,76 @@
+import { farm, suburbs, zones, type DeliveryDay, type DeliveryZone, type Suburb } from '../data/delivery-zones';
+
+export interface ZoneLookup {
+    postcode: string;
+    inArea: boolean;
+    zone: DeliveryZone | null;
+    /** Served suburbs sharing the postcode. */
+    suburbs: string[];
+}
+
+export interface GeoPoint {
+    latitude: number;
+    longitude: number;
+}
+
+const EARTH_RADIUS_KM = 6371;
+
+/** Great-circle distance between two points, in kilometres. */
+export function distanceKm(a: GeoPoint, b: GeoPoint): number {
+    const toRadians = (degrees: number) => (degrees * Math.PI) / 180;
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLng = toRadians(b.longitude - a.longitude);
+    const h =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+export function getZone(id: string): DeliveryZone | undefined {
+    return zones.find((zone) => zone.id === id);
+}
+
+export function suburbsInZone(id: string): Suburb[] {
+    return suburbs.filter((suburb) => suburb.zone === id);
+}
+
+/** URL slug for a suburb's delivery page, e.g. "Ballarat East" → "ballarat-east". */
+export function suburbSlug(suburb: Suburb): string {
+    return suburb.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/** Path of a suburb's delivery page, e.g. "/delivery/ballarat-east/". */
+export function suburbPath(suburb: Suburb): string {
+    return `/delivery/${suburbSlug(suburb)}/`;
+}
+
+/**
+ * Finds the delivery zone for a postcode. Pass the suburb too when you have
+ * it, since some postcodes cover suburbs in more than one zone.
+ */
+export function lookupDeliveryZone(postcode: string, suburb?: string): ZoneLookup {
+    const matches = suburbs.filter((s) => s.postcode === postcode.trim());
+    const exact = suburb
+        ? matches.find((s) => s.name.toLowerCase() === suburb.trim().toLowerCase())
+        : undefined;
+    const match = exact ?? matches[0];
+
+    return {
+        postcode: postcode.trim(),
+        inArea: Boolean(match),
+        zone: match ? getZone(match.zone) ?? null : null,
+        suburbs: matches.map((s) => s.name),
+    };
+}
+
+/** schema.org `areaServed` entries for every suburb we deliver to. */
+export function areaServed(): Record<string, string>[] {
+    return suburbs.map((suburb): Record<string, string> =>
+        suburb.sameAs
+            ? { '@type': 'City', name: suburb.name, sameAs: suburb.sameAs }
+            : { '@type': 'Place', name: suburb.name },
+    );
+}
+
+export { farm, zones, suburbs };
+export type { DeliveryDay, DeliveryZone, Suburb };
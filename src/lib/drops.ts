@@ -0,0 +1,112 @@
+import { getCollection, type CollectionEntry } from 'astro:content';
+
+export type Drop = CollectionEntry<'drops'>;
+export type DropStatus = Drop['data']['status'];
+
+export const TIME_ZONE = 'Australia/Melbourne';
+
+const schemaAvailability: Record<DropStatus, string> = {
+    upcoming: 'https://schema.org/PreOrder',
+    open: 'https://schema.org/InStock',
+    'sold-out': 'https://schema.org/SoldOut',
+};
+
+/**
+ * Today's date in Melbourne as YYYY-MM-DD, so comparisons against drop dates
+ * don't depend on the timezone of the server doing the build.
+ */
+export function melbourneToday(now: Date = new Date()): string {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: TIME_ZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    }).format(now);
+}
+
+export function lastDeliveryDay(drop: Drop): string {
+    return drop.data.deliveryDays[drop.data.deliveryDays.length - 1];
+}
+
+/** All drops, earliest delivery first. */
+export async function getDrops(): Promise<Drop[]> {
+    const drops = await getCollection('drops');
+    return drops.sort((a, b) => a.data.deliveryDays[0].localeCompare(b.data.deliveryDays[0]));
+}
+
+/**
+ * The drop the site should be talking about: the earliest one that hasn't
+ * finished delivering yet. Returns undefined once every drop is in the past.
+ */
+export async function getCurrentDrop(now: Date = new Date()): Promise<Drop | undefined> {
+    const today = melbourneToday(now);
+    const drops = await getDrops();
+    return drops.find((drop) => lastDeliveryDay(drop) >= today);
+}
+
+export async function getDrop(id: string): Promise<Drop | undefined> {
+    const drops = await getDrops();
+    return drops.find((drop) => drop.id === id);
+}
+
+// Dates are calendar days, so parse and format them at UTC noon to keep the
+// day stable regardless of the local timezone.
+function calendarDay(date: string): Date {
+    return new Date(`${date}T12:00:00Z`);
+}
+
+function ordinal(day: number): string {
+    if (day % 100 >= 11 && day % 100 <= 13) return `${day}th`;
+    switch (day % 10) {
+        case 1:
+            return `${day}st`;
+        case 2:
+            return `${day}nd`;
+        case 3:
+            return `${day}rd`;
+        default:
+            return `${day}th`;
+    }
+}
+
+function formatPart(date: string, part: 'weekday' | 'month'): string {
+    return new Intl.DateTimeFormat('en-AU', { timeZone: 'UTC', [part]: 'long' }).format(calendarDay(date));
+}
+
+/** e.g. "February" */
+export function dropMonth(drop: Drop): string {
+    return formatPart(drop.data.deliveryDays[0], 'month');
+}
+
+/**
+ * e.g. "Friday 13th & Saturday 14th February", or
+ * "Friday 27th February & Saturday 1st March" when the days span two months.
+ */
+export function formatDeliveryDays(drop: Drop): string {
+    const days = drop.data.deliveryDays;
+    const sameMonth = days.every((day) => day.slice(0, 7) === days[0].slice(0, 7));
+    const parts = days.map((day) => {
+        const label = `${formatPart(day, 'weekday')} ${ordinal(calendarDay(day).getUTCDate())}`;
+        return sameMonth ? label : `${label} ${formatPart(day, 'month')}`;
+    });
+    const joined = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} & ${parts[parts.length - 1]}` : parts[0];
+    return sameMonth ? `${joined} ${formatPart(days[0], 'month')}` : joined;
+}
+
+/**
+ * schema.org Offer availability fields for the current drop. With no drop
+ * scheduled the boxes are still available to pre-order via the wait list.
+ */
+export function dropOfferAvailability(drop: Drop | undefined): Record<string, string> {
+    if (!drop) {
+        return { availability: schemaAvailability.upcoming };
+    }
+    const offer: Record<string, string> = {
+        availability: schemaAvailability[drop.data.status],
+    };
+    if (drop.data.status !== 'sold-out') {
+        offer.availabilityStarts = drop.data.ordersOpen;
+        offer.availabilityEnds = drop.data.ordersClose;
+    }
+    return offer;
+}
@@ -0,0 +1,22 @@
+/** JSON response helper for the API routes. */
+export function json(body: unknown, status = 200, headers: Record<string, string> = {}): Response {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers },
+    });
+}
+
+/**
+ * The request's JSON body if it's an object, or undefined if it's malformed,
+ * so routes can answer 400 instead of failing on bad input.
+ */
+export async function readJsonBody(request: Request): Promise<Record<string, unknown> | undefined> {
+    try {
+        const body: unknown = await request.json();
+        return typeof body === 'object' && body !== null && !Array.isArray(body)
+            ? (body as Record<string, unknown>)
+            : undefined;
+    } catch {
+        return undefined;
+    }
+}
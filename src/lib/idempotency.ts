@@ -0,0 +1,55 @@
+import { getDataStore } from './data-store';
+import { createLogger, type Logger } from './logger';
+import { withLock } from './storage';
+
+const TTL_SECONDS = 24 * 60 * 60;
+
+interface StoredResult<T> {
+    storedAt: string;
+    result: T;
+}
+
+const storeKey = (key: string) => `idempotency:${key}`;
+
+/** Keys are client-generated, so only accept something UUID-ish. */
+export function isValidIdempotencyKey(key: string): boolean {
+    return /^[A-Za-z0-9_-]{8,100}$/.test(key);
+}
+
+/**
+ * Runs `fn` at most once per key within 24 hours and hands back the stored
+ * result on repeats. Calls with the same key wait for the first to finish,
+ * so a double-click can't run the work twice. Failures aren't stored, so the
+ * client can retry them with the same key.
+ *
+ * By the time the result is saved, `fn` has already done its work, so a
+ * failed save is logged rather than failing the request: an error response
+ * would only prompt the client to retry and do the work again.
+ */
+export function runOnce<T>(
+    key: string | undefined,
+    fn: () => Promise<T>,
+    log: Logger = createLogger()
+): Promise<{ result: T; replayed: boolean }> {
+    if (!key) {
+        return fn().then((result) => ({ result, replayed: false }));
+    }
+
+    return withLock(storeKey(key), async () => {
+        const store = getDataStore();
+        const previous = await store.get<StoredResult<T>>(storeKey(key));
+        if (previous) {
+            return { result: previous.result, replayed: true };
+        }
+
+        const result = await fn();
+
+        try {
+            await store.set(storeKey(key), { storedAt: new Date().toISOString(), result }, TTL_SECONDS);
+        } catch (error) {
+            log.error('idempotency.save_failed', { error });
+        }
+
+        return { result, replayed: false };
+    });
+}
@@ -0,0 +1,14 @@
+/**
+ * JSON for an inline `<script type="application/ld+json">`. JSON.stringify
+ * leaves `<` alone, so text like a review containing `</script>` would close
+ * the tag early and let the rest run as HTML; escaping it (and the line
+ * separators JavaScript treats as newlines) keeps it inside the script.
+ */
+export function jsonLd(value: unknown): string {
+    return JSON.stringify(value)
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
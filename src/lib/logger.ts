@@ -0,0 +1,135 @@
+import { createHmac, randomUUID } from 'node:crypto';
+import { requireSecret } from './secrets';
+
+/**
+ * Structured logging for the API routes: one JSON object per line, tagged
+ * with a request ID so every line from a sign-up can be pulled out of the
+ * Vercel logs together. Customer details never reach the output. Phone
+ * numbers are replaced with a keyed hash (the same number always hashes the
+ * same, so a customer's attempts can still be matched up; LOG_HASH_SECRET is
+ * required for this, and numbers are redacted without it), names, addresses
+ * and postcodes are redacted, and phone numbers inside any other string, such
+ * as an upstream URL or error message, are hashed in place.
+ */
+
+export type LogLevel = 'info' | 'warn' | 'error';
+
+export type LogFields = Record<string, unknown>;
+
+export interface Logger {
+    readonly requestId: string;
+    info(event: string, fields?: LogFields): void;
+    warn(event: string, fields?: LogFields): void;
+    error(event: string, fields?: LogFields): void;
+    /** A logger that adds `fields` to every line, keeping the request ID. */
+    child(fields: LogFields): Logger;
+}
+
+const PHONE_KEYS = /phone/i;
+const REDACTED_KEYS = new Set([
+    'name',
+    'firstName',
+    'first_name',
+    'lastName',
+    'last_name',
+    'fullName',
+    'address',
+    'email',
+    'postcode'
+]);
+const REDACTED = '[redacted]';
+
+// Australian numbers as they turn up in payloads, URLs and error messages:
+// E.164 (+61412345678), URL-encoded (%2B61412345678) and local (0412345678)
+const PHONE_PATTERN = /(?:\+|%2B)61\d{9}\b|\b61\d{9}\b|\b0[2-478]\d{8}\b/gi;
+
+let warned = false;
+
+function secret(): string | undefined {
+    try {
+        return requireSecret('LOG_HASH_SECRET', import.meta.env.LOG_HASH_SECRET);
+    } catch (error) {
+        // Once per instance, so a missing secret doesn't double every line
+        if (!warned) {
+            warned = true;
+            write('error', 'logger.no_hash_secret', { error });
+        }
+        return undefined;
+    }
+}
+
+/**
+ * Keyed hash of a phone number, normalised so every format hashes the same.
+ * Without LOG_HASH_SECRET the number is redacted instead: with a known key,
+ * the hash could be reversed by trying every Australian number.
+ */
+export function hashPhone(phone: string): string {
+    const key = secret();
+    if (!key) return REDACTED;
+
+    const digits = phone.replace(/^%2B/i, '').replace(/\D/g, '');
+    const normalised = digits.startsWith('0') ? `61${digits.slice(1)}` : digits;
+    const hash = createHmac('sha256', key).update(`phone:+${normalised}`).digest('hex').slice(0, 12);
+    return `phone#${hash}`;
+}
+
+function scrub(text: string): string {
+    return text.replace(PHONE_PATTERN, (match) => hashPhone(match));
+}
+
+function serialiseError(error: Error): LogFields {
+    const { status, step } = error as Error & { status?: unknown; step?: unknown };
+    return {
+        name: error.name,
+        message: scrub(error.message),
+        ...(typeof status === 'number' && { status }),
+        ...(typeof step === 'string' && { step })
+    };
+}
+
+/** Copies `value` with phone numbers hashed and other personal details removed. */
+export function redact(value: unknown, key?: string): unknown {
+    if (value === null || value === undefined) return value;
+    if (key !== undefined && REDACTED_KEYS.has(key)) return REDACTED;
+    if (key !== undefined && PHONE_KEYS.test(key)) {
+        return typeof value === 'string' ? hashPhone(value) : REDACTED;
+    }
+
+    if (typeof value === 'string') return scrub(value);
+    if (value instanceof Error) return serialiseError(value);
+    if (Array.isArray(value)) return value.map((item) => redact(item));
+    if (typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([entryKey, entry]) => [entryKey, redact(entry, entryKey)])
+        );
+    }
+    return value;
+}
+
+function write(level: LogLevel, event: string, fields: LogFields): void {
+    const line = JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        event,
+        ...(redact(fields) as LogFields)
+    });
+    if (level === 'error') {
+        console.error(line);
+    } else if (level === 'warn') {
+        console.warn(line);
+    } else {
+        console.log(line);
+    }
+}
+
+export function createLogger(fields: LogFields = {}, requestId: string = randomUUID()): Logger {
+    const base = { requestId, ...fields };
+
+    return {
+        requestId,
+        info: (event, extra = {}) => write('info', event, { ...base, ...extra }),
+        warn: (event, extra = {}) => write('warn', event, { ...base, ...extra }),
+        error: (event, extra = {}) => write('error', event, { ...base, ...extra }),
+        child: (extra) => createLogger({ ...fields, ...extra }, requestId)
+    };
+}
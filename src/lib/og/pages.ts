@@ -0,0 +1,31 @@
+/**
+ * How pages ask for their OG image. Layout.astro writes the template data as
+ * `og-image:*` meta tags and points og:image at ogImagePath(); the build
+ * integration in src/integrations/og-images.ts reads those tags back from the
+ * built HTML and renders the JPEG. Kept separate from ./render so pages don't
+ * pull Satori and sharp into the server bundle.
+ */
+
+export interface OgImageData {
+    title: string;
+    subtitle: string;
+    /** Short line shown in the pill above the title. */
+    badge: string;
+    /** File name in src/assets/images, e.g. "cows-1.webp". */
+    background: string;
+}
+
+export const OG_DEFAULTS: OgImageData = {
+    title: 'Ferguson Livestock',
+    subtitle: 'Premium beef boxes delivered direct from our family farm in Snake Valley, Victoria',
+    badge: 'PASTURE-RAISED MURRAY GREY BEEF',
+    background: 'cows-1.webp',
+};
+
+export const OG_META_PREFIX = 'og-image:';
+
+/** Where a page's generated image lives: "/" → "/og/index.jpg", "/delivery/ballarat/" → "/og/delivery/ballarat.jpg". */
+export function ogImagePath(pathname: string): string {
+    const slug = pathname.replace(/\.html$/, '').replace(/^\/+|\/+$/g, '');
+    return `/og/${slug || 'index'}.jpg`;
+}
@@ -0,0 +1,72 @@
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { join } from 'node:path';
+import { Resvg } from '@resvg/resvg-js';
+import satori from 'satori';
+import sharp from 'sharp';
+import type { OgImageData } from './pages';
+import { ogTemplate } from './template';
+
+/**
+ * Renders OG images with Satori (template → SVG), resvg (SVG → PNG) and
+ * sharp (PNG → JPEG). Fonts come from the installed @fontsource packages, so
+ * this works offline and in CI.
+ */
+
+export const WIDTH = 1200;
+export const HEIGHT = 630;
+
+type SatoriFont = Parameters<typeof satori>[1]['fonts'][number];
+
+// Satori reads TTF, OTF and WOFF (not WOFF2 or variable fonts), so these are
+// the static WOFF files rather than the variable font the site itself uses
+const FONT_FILES: { name: string; weight: SatoriFont['weight']; file: string }[] = [
+    { name: 'Source Sans 3', weight: 400, file: '@fontsource/source-sans-3/files/source-sans-3-latin-400-normal.woff' },
+    { name: 'Source Sans 3', weight: 600, file: '@fontsource/source-sans-3/files/source-sans-3-latin-600-normal.woff' },
+    { name: 'Source Sans 3', weight: 700, file: '@fontsource/source-sans-3/files/source-sans-3-latin-700-normal.woff' },
+    { name: 'Cormorant Garamond', weight: 600, file: '@fontsource/cormorant-garamond/files/cormorant-garamond-latin-600-normal.woff' },
+];
+
+export class OgImageRenderer {
+    private fonts?: Promise<SatoriFont[]>;
+    private backgrounds = new Map<string, Promise<string>>();
+
+    /** `root` is the project directory, used to find node_modules and src/assets. */
+    constructor(private readonly root: string) {}
+
+    private loadFonts(): Promise<SatoriFont[]> {
+        if (!this.fonts) {
+            const require = createRequire(join(this.root, 'package.json'));
+            this.fonts = Promise.all(
+                FONT_FILES.map(async ({ name, weight, file }) => ({
+                    name,
+                    weight,
+                    style: 'normal' as const,
+                    data: await readFile(require.resolve(file)),
+                })),
+            );
+        }
+        return this.fonts;
+    }
+
+    /** Background as a cover-cropped PNG data URI; Satori handles PNG better than WebP. */
+    private loadBackground(file: string): Promise<string> {
+        let background = this.backgrounds.get(file);
+        if (!background) {
+            background = readFile(join(this.root, 'src/assets/images', file))
+                .then((buffer) => sharp(buffer).resize(WIDTH, HEIGHT, { fit: 'cover', position: 'center' }).png().toBuffer())
+                .then((png) => `data:image/png;base64,${png.toString('base64')}`);
+            this.backgrounds.set(file, background);
+        }
+        return background;
+    }
+
+    async render(data: OgImageData): Promise<Uint8Array> {
+        const [fonts, background] = await Promise.all([this.loadFonts(), this.loadBackground(data.background)]);
+
+        const svg = await satori(ogTemplate(data, background), { width: WIDTH, height: HEIGHT, fonts });
+        const png = new Resvg(svg, { fitTo: { mode: 'width', value: WIDTH } }).render().asPng();
+
+        return new Uint8Array(await sharp(png).jpeg({ quality: 90 }).toBuffer());
+    }
+}
@@ -0,0 +1,234 @@
+import type satori from 'satori';
+import type { OgImageData } from './pages';
+
+type Element = Parameters<typeof satori>[0];
+
+// Brand colors matching the site
+const colors = {
+    forest: '#2d3b2d',
+    sage: '#5a7247',
+    mint: '#7fd4b5',
+    cream: '#faf9f6',
+    warm: '#8b6914',
+};
+
+const FEATURES = ['Pasture-Raised', 'No Hormones', 'Family Farm', 'Free Delivery'];
+
+// The bundled fonts are Latin subsets without ✓ or ★, so these are drawn as
+// SVG (the same paths the site uses) instead of text
+const CHECK_PATH = 'M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z';
+const STAR_PATH = 'M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z';
+
+function icon(path: string, size: number): Element {
+    return {
+        type: 'svg',
+        props: {
+            width: size,
+            height: size,
+            viewBox: '0 0 24 24',
+            fill: colors.mint,
+            children: { type: 'path', props: { d: path } },
+        },
+    };
+}
+
+function feature(label: string): Element {
+    return {
+        type: 'div',
+        props: {
+            style: {
+                display: 'flex',
+                alignItems: 'center',
+                gap: '10px',
+            },
+            children: [
+                icon(CHECK_PATH, 28),
+                {
+                    type: 'span',
+                    props: {
+                        style: {
+                            color: colors.cream,
+                            fontFamily: 'Source Sans 3',
+                            fontSize: '24px',
+                            fontWeight: 400,
+                        },
+                        children: label,
+                    },
+                },
+            ],
+        },
+    };
+}
+
+/**
+ * The site's OG card: background photo under a forest gradient, a badge pill,
+ * the title and subtitle, the feature row and the domain. Long titles step
+ * down a size so they stay on two lines.
+ */
+export function ogTemplate(data: OgImageData, backgroundDataUri: string): Element {
+    const titleSize = data.title.length > 40 ? '72px' : '96px';
+
+    return {
+        type: 'div',
+        props: {
+            style: {
+                width: '100%',
+                height: '100%',
+                display: 'flex',
+                flexDirection: 'column',
+                position: 'relative',
+            },
+            children: [
+                // Background image
+                {
+                    type: 'img',
+                    props: {
+                        src: backgroundDataUri,
+                        style: {
+                            position: 'absolute',
+                            top: 0,
+                            left: 0,
+                            width: '100%',
+                            height: '100%',
+                            objectFit: 'cover',
+                        },
+                    },
+                },
+                // Gradient overlay
+                {
+                    type: 'div',
+                    props: {
+                        style: {
+                            position: 'absolute',
+                            top: 0,
+                            left: 0,
+                            right: 0,
+                            bottom: 0,
+                            background: 'linear-gradient(135deg, rgba(45, 59, 45, 0.85) 0%, rgba(90, 114, 71, 0.75) 50%, rgba(45, 59, 45, 0.85) 100%)',
+                        },
+                    },
+                },
+                // Content container
+                {
+                    type: 'div',
+                    props: {
+                        style: {
+                            position: 'relative',
+                            display: 'flex',
+                            flexDirection: 'column',
+                            justifyContent: 'center',
+                            alignItems: 'flex-start',
+                            height: '100%',
+                            padding: '60px 80px',
+                        },
+                        children: [
+                            // Badge
+                            {
+                                type: 'div',
+                                props: {
+                                    style: {
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        gap: '10px',
+                                        backgroundColor: 'rgba(127, 212, 181, 0.2)',
+                                        border: '2px solid rgba(127, 212, 181, 0.4)',
+                                        padding: '12px 24px',
+                                        borderRadius: '50px',
+                                        marginBottom: '28px',
+                                    },
+                                    children: [
+                                        icon(STAR_PATH, 22),
+                                        {
+                                            type: 'span',
+                                            props: {
+                                                style: {
+                                                    color: colors.mint,
+                                                    fontSize: '22px',
+                                                    fontFamily: 'Source Sans 3',
+                                                    fontWeight: 600,
+                                                    letterSpacing: '0.05em',
+                                                },
+                                                children: data.badge,
+                                            },
+                                        },
+                                    ],
+                                },
+                            },
+                            // Main heading
+                            {
+                                type: 'div',
+                                props: {
+                                    style: {
+                                        fontFamily: 'Cormorant Garamond',
+                                        fontSize: titleSize,
+                                        fontWeight: 600,
+                                        color: colors.cream,
+                                        lineHeight: 1.05,
+                                        marginBottom: '24px',
+                                        maxWidth: '950px',
+                                    },
+                                    children: data.title,
+                                },
+                            },
+                            // Subheading
+                            {
+                                type: 'div',
+                                props: {
+                                    style: {
+                                        fontFamily: 'Source Sans 3',
+                                        fontSize: '36px',
+                                        fontWeight: 400,
+                                        color: 'rgba(250, 249, 246, 0.9)',
+                                        lineHeight: 1.35,
+                                        maxWidth: '800px',
+                                        marginBottom: '40px',
+                                    },
+                                    children: data.subtitle,
+                                },
+                            },
+                            // Features row
+                            {
+                                type: 'div',
+                                props: {
+                                    style: {
+                                        display: 'flex',
+                                        gap: '40px',
+                                    },
+                                    children: FEATURES.map(feature),
+                                },
+                            },
+                        ],
+                    },
+                },
+                // Website URL at bottom
+                {
+                    type: 'div',
+                    props: {
+                        style: {
+                            position: 'absolute',
+                            bottom: '36px',
+                            right: '70px',
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '12px',
+                        },
+                        children: [
+                            {
+                                type: 'span',
+                                props: {
+                                    style: {
+                                        color: 'rgba(250, 249, 246, 0.8)',
+                                        fontFamily: 'Source Sans 3',
+                                        fontSize: '24px',
+                                        fontWeight: 400,
+                                    },
+                                    children: 'fergusonlivestock.com.au',
+                                },
+                            },
+                        ],
+                    },
+                },
+            ],
+        },
+    };
+}
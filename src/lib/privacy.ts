@@ -0,0 +1,166 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { getDataStore } from './data-store';
+import { createLogger, type Logger } from './logger';
+import { forgetReferralCode, referralCodeFor } from './referrals';
+import { purgeReviews } from './reviews';
+import { requireSecret } from './secrets';
+import {
+    ProviderConfigError,
+    UpstreamError,
+    purgeDeadLetters,
+    type StoredSubscriber,
+    type SubscriberProvider,
+} from './subscribers';
+
+/**
+ * Self-service privacy requests for wait-list members: view what we hold,
+ * opt out of SMS, or ask for deletion. Access is by a signed link tied to the
+ * phone number (stored on the profile as `manage_url` so texts can include
+ * it), and every request is written to an audit log.
+ */
+
+const SITE_URL = 'https://fergusonlivestock.com.au';
+
+export type PrivacyAction = 'view' | 'unsubscribe' | 'delete';
+
+export type PrivacyOutcome = 'completed' | 'not_found' | 'failed';
+
+/** Why a request failed. Error messages can hold paths or contact details, so the audit only keeps these. */
+export type PrivacyErrorCode = 'config_error' | 'upstream_error' | 'internal_error';
+
+export interface PrivacyAuditEntry {
+    at: string;
+    action: PrivacyAction;
+    /** Keyed hash of the phone number, so the log itself holds no contact details. */
+    subject: string;
+    provider: string;
+    outcome: PrivacyOutcome;
+    error?: PrivacyErrorCode;
+}
+
+function secret(): string {
+    return requireSecret('PRIVACY_TOKEN_SECRET', import.meta.env.PRIVACY_TOKEN_SECRET);
+}
+
+function sign(value: string): string {
+    return createHmac('sha256', secret()).update(value).digest('base64url');
+}
+
+/** Token for a phone's manage-my-details link. It doesn't expire, like an unsubscribe link. */
+export function manageToken(phone: string): string {
+    const encoded = Buffer.from(phone).toString('base64url');
+    return `${encoded}.${sign(encoded)}`;
+}
+
+export function manageUrl(phone: string): string {
+    return `${SITE_URL}/my-details?token=${manageToken(phone)}`;
+}
+
+/** The phone number a token was issued for, or null if it isn't genuine. */
+export function verifyManageToken(token: unknown): string | null {
+    if (typeof token !== 'string') return null;
+
+    const [encoded, signature] = token.split('.');
+    if (!encoded || !signature) return null;
+
+    const encoder = new TextEncoder();
+    const expected = encoder.encode(sign(encoded));
+    const actual = encoder.encode(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    return Buffer.from(encoded, 'base64url').toString();
+}
+
+// In the shared data store, so the trail survives serverless instances
+const AUDIT_KEY = 'privacy-audit';
+
+export function subjectHash(phone: string): string {
+    return createHmac('sha256', secret()).update(`subject:${phone}`).digest('hex').slice(0, 16);
+}
+
+async function audit(entry: Omit<PrivacyAuditEntry, 'at'>): Promise<void> {
+    await getDataStore().append(AUDIT_KEY, { at: new Date().toISOString(), ...entry });
+}
+
+export function readPrivacyAudit(): Promise<PrivacyAuditEntry[]> {
+    return getDataStore().list<PrivacyAuditEntry>(AUDIT_KEY);
+}
+
+function errorCode(error: unknown): PrivacyErrorCode {
+    if (error instanceof ProviderConfigError) return 'config_error';
+    if (error instanceof UpstreamError) return 'upstream_error';
+    return 'internal_error';
+}
+
+/**
+ * Clears our own copies of a number's details: queued sign-ups, pending
+ * reviews and referral ledger entries. Resolves to how many queued sign-ups
+ * and reviews were removed.
+ */
+async function purgeLocalCopies(phone: string): Promise<number> {
+    const purged = (await purgeDeadLetters(phone)) + (await purgeReviews(phone));
+    await forgetReferralCode(referralCodeFor(phone));
+    return purged;
+}
+
+export type PrivacyResult =
+    | { outcome: 'completed'; profile?: StoredSubscriber }
+    | { outcome: 'not_found' };
+
+/**
+ * Carries out a request against the subscriber provider and audits it,
+ * whether it succeeds or not. Deletion also clears our own copies (queued
+ * sign-ups, pending reviews and the referral ledger). Once the provider has
+ * deleted the profile that clean-up is best-effort: a failure there is
+ * logged, but the request still completed.
+ */
+export async function handlePrivacyRequest(
+    provider: SubscriberProvider,
+    action: PrivacyAction,
+    phone: string,
+    log: Logger = createLogger({ route: 'privacy' }),
+): Promise<PrivacyResult> {
+    const base = { action, subject: subjectHash(phone), provider: provider.name };
+    let profile: StoredSubscriber | undefined;
+
+    try {
+        profile = await provider.findProfile(phone);
+        if (!profile) {
+            // Nothing with the provider, but a failed sign-up or a review may still be held here
+            if (action === 'delete' && (await purgeLocalCopies(phone)) > 0) {
+                await audit({ ...base, outcome: 'completed' });
+                return { outcome: 'completed' };
+            }
+            await audit({ ...base, outcome: 'not_found' });
+            return { outcome: 'not_found' };
+        }
+
+        if (action === 'unsubscribe') {
+            await provider.unsubscribe(phone);
+        } else if (action === 'delete') {
+            await provider.deleteProfile(phone);
+            try {
+                await purgeLocalCopies(phone);
+            } catch (error) {
+                log.error('privacy.cleanup_failed', { subject: base.subject, error });
+            }
+        }
+    } catch (error) {
+        // Rethrow the original error even if the audit write fails too
+        try {
+            await audit({ ...base, outcome: 'failed', error: errorCode(error) });
+        } catch (auditError) {
+            log.error('privacy.audit_failed', { subject: base.subject, error: auditError });
+        }
+        throw error;
+    }
+
+    // The request is done; a failed audit write shouldn't report it as failed
+    try {
+        await audit({ ...base, outcome: 'completed' });
+    } catch (error) {
+        log.error('privacy.audit_failed', { subject: base.subject, error });
+    }
+    return action === 'view' ? { outcome: 'completed', profile } : { outcome: 'completed' };
+}
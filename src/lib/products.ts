@@ -0,0 +1,70 @@
+import { products, type CutShare, type Product, type ProductId } from '../data/products';
+
+export const CURRENCY = 'AUD';
+
+export const PRODUCT_IDS: ProductId[] = products.map((product) => product.id);
+
+export function getProduct(id: string): Product | undefined {
+    return products.find((product) => product.id === id);
+}
+
+/** Price per kilogram, rounded to the cent. */
+export function pricePerKg(product: Product): number {
+    return Math.round((product.price / product.weightKg) * 100) / 100;
+}
+
+/** "$150", or "$27.50" when there are cents. */
+export function formatPrice(amount: number): string {
+    return Number.isInteger(amount) ? `$${amount}` : `$${amount.toFixed(2)}`;
+}
+
+/**
+ * How much cheaper per kilogram a box is than the dearest box, as a whole
+ * percentage. This is the "20% off" badge on the bigger box; 0 means no badge.
+ */
+export function perKgSaving(product: Product): number {
+    const highest = Math.max(...products.map(pricePerKg));
+    return Math.round((1 - pricePerKg(product) / highest) * 100);
+}
+
+export function priceRange(): { lowPrice: number; highPrice: number } {
+    const prices = products.map((product) => product.price);
+    return { lowPrice: Math.min(...prices), highPrice: Math.max(...prices) };
+}
+
+/**
+ * schema.org Offer for one box. `availability` is the drop-driven part from
+ * dropOfferAvailability(), so every box shares the current order window.
+ */
+export function productOffer(product: Product, siteUrl: string, availability: Record<string, string>) {
+    return {
+        '@type': 'Offer',
+        ...availability,
+        price: product.price.toFixed(2),
+        priceCurrency: CURRENCY,
+        url: `${siteUrl}/#reserve`,
+        priceSpecification: {
+            '@type': 'UnitPriceSpecification',
+            price: pricePerKg(product).toFixed(2),
+            priceCurrency: CURRENCY,
+            referenceQuantity: {
+                '@type': 'QuantitativeValue',
+                value: 1,
+                unitCode: 'KGM',
+            },
+        },
+        itemOffered: {
+            '@type': 'Product',
+            name: product.name,
+            description: `${product.weightKg}kg of mixed pasture-raised Murray Grey beef: ${product.cuts.map((cut) => cut.name.toLowerCase()).join(', ')}.`,
+            weight: {
+                '@type': 'QuantitativeValue',
+                value: product.weightKg,
+                unitCode: 'KGM',
+            },
+        },
+    };
+}
+
+export { products };
+export type { CutShare, Product, ProductId };
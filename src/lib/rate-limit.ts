@@ -0,0 +1,25 @@
+import { createHash } from 'node:crypto';
+import { getDataStore } from './data-store';
+
+export interface RateLimit {
+    limit: number;
+    windowMs: number;
+}
+
+export type RateLimitResult = { allowed: true } | { allowed: false; retryAfterSeconds: number };
+
+/**
+ * Counts a request against `key` (e.g. "subscribe:ip:1.2.3.4") in fixed
+ * windows. Counters live in the shared data store, so every server instance
+ * counts against the same limit, and expire with their window. Keys are
+ * hashed before they reach the store, so IPs and phone numbers aren't kept.
+ */
+export async function checkRateLimit(key: string, { limit, windowMs }: RateLimit, now: number = Date.now()): Promise<RateLimitResult> {
+    const hashedKey = createHash('sha256').update(key).digest('hex').slice(0, 32);
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const count = await getDataStore().increment(`rate-limit:${hashedKey}:${windowStart}`, Math.ceil(windowMs / 1000));
+    if (count <= limit) {
+        return { allowed: true };
+    }
+    return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil((windowStart + windowMs - now) / 1000)) };
+}
@@ -0,0 +1,91 @@
+import { createHmac } from 'node:crypto';
+import { getDataStore } from './data-store';
+import { requireSecret } from './secrets';
+import { withLock } from './storage';
+
+// Unambiguous characters only, since people read these codes out loud
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export interface ReferralEntry {
+    /** The new subscriber's own code. */
+    referralCode: string;
+    /** Code from the share link they arrived on, if any. */
+    referredBy?: string;
+    firstName: string;
+    signedUpAt: string;
+}
+
+export interface ReferralTally {
+    referralCode: string;
+    firstName: string;
+    referrals: number;
+}
+
+function secret(): string {
+    return requireSecret('REFERRAL_SECRET', import.meta.env.REFERRAL_SECRET);
+}
+
+/**
+ * A subscriber's referral code. It's derived from their phone number with a
+ * keyed hash, so signing up again gives the same code and the code can't be
+ * turned back into the number.
+ */
+export function referralCodeFor(phone: string): string {
+    const digest = createHmac('sha256', secret()).update(phone).digest();
+    let code = '';
+    for (let i = 0; i < 8; i++) {
+        code += ALPHABET[digest[i] % ALPHABET.length];
+    }
+    return code;
+}
+
+// The ledger is a list in the shared data store, so sign-ups on every server
+// instance land in the same report
+const LIST_KEY = 'referrals';
+
+export function recordReferral(entry: ReferralEntry): Promise<void> {
+    return withLock(LIST_KEY, () => getDataStore().append(LIST_KEY, entry));
+}
+
+/**
+ * Removes a subscriber's own ledger entries (their name and code). Entries
+ * for people they referred keep the code in `referredBy`, which on its own
+ * doesn't identify anyone.
+ */
+export function forgetReferralCode(referralCode: string): Promise<void> {
+    return withLock(LIST_KEY, async () => {
+        const store = getDataStore();
+        const entries = await store.list<ReferralEntry>(LIST_KEY);
+        const kept = entries.filter((entry) => entry.referralCode !== referralCode);
+        if (kept.length !== entries.length) {
+            await store.replaceList(LIST_KEY, kept);
+        }
+    });
+}
+
+/**
+ * Referral counts per subscriber, best advocates first. Each referred
+ * subscriber is counted once, however many times they signed up.
+ */
+export async function tallyReferrals(): Promise<ReferralTally[]> {
+    const entries = await getDataStore().list<ReferralEntry>(LIST_KEY);
+    const names = new Map<string, string>();
+    const referred = new Map<string, Set<string>>();
+
+    for (const entry of entries) {
+        names.set(entry.referralCode, entry.firstName);
+        if (entry.referredBy && entry.referredBy !== entry.referralCode) {
+            const referees = referred.get(entry.referredBy) ?? new Set<string>();
+            referees.add(entry.referralCode);
+            referred.set(entry.referredBy, referees);
+        }
+    }
+
+    return [...referred.entries()]
+        .map(([referralCode, referees]) => ({
+            referralCode,
+            firstName: names.get(referralCode) ?? 'Unknown',
+            referrals: referees.size,
+        }))
+        .sort((a, b) => b.referrals - a.referrals);
+}
@@ -0,0 +1,165 @@
+import { randomUUID } from 'node:crypto';
+import { getDataStore } from '../data-store';
+import type { BoxSize, Reservation } from './types';
+
+export * from './types';
+
+const DEFAULT_HOLD_MINUTES = 30;
+
+// A held box stays claimed this long past its expiry, so a confirmation that
+// passed the expiry check can't find the box already taken by someone else
+const CLAIM_GRACE_SECONDS = 60;
+
+/*
+ * Reservations live in the shared data store. Each box in a drop's allocation
+ * is a slot key, and a reservation claims one with setIfAbsent: that single
+ * atomic step is both the stock check and the hold, so two server instances
+ * can never hand out the same box. A held slot expires with its hold; a
+ * confirmed one is kept. The reservation itself is stored under its ID and
+ * listed per drop for the admin scripts.
+ */
+const reservationKey = (id: string) => `reservation:${id}`;
+const dropListKey = (dropId: string) => `reservations-${dropId}`;
+const slotKey = (dropId: string, boxSize: BoxSize, slot: number) => `reservation-slot:${dropId}:${boxSize}:${slot}`;
+
+function slotKeys(dropId: string, boxSize: BoxSize, count: number): string[] {
+    return Array.from({ length: Math.max(0, count) }, (_, slot) => slotKey(dropId, boxSize, slot));
+}
+
+export function holdMinutes(): number {
+    const minutes = Number(import.meta.env.RESERVATION_HOLD_MINUTES);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_HOLD_MINUTES;
+}
+
+/** Confirmed reservations and unexpired holds both count against inventory. */
+export function isActive(reservation: Reservation, now: Date = new Date()): boolean {
+    if (reservation.status === 'confirmed') return true;
+    if (reservation.status === 'held') return new Date(reservation.expiresAt) > now;
+    return false;
+}
+
+export function remainingBoxes(
+    allocations: Record<BoxSize, number>,
+    reservations: Reservation[],
+    now: Date = new Date(),
+): Record<BoxSize, number> {
+    const remaining = { ...allocations };
+    for (const reservation of reservations) {
+        if (isActive(reservation, now)) {
+            remaining[reservation.boxSize] -= 1;
+        }
+    }
+    for (const size of Object.keys(remaining) as BoxSize[]) {
+        remaining[size] = Math.max(0, remaining[size]);
+    }
+    return remaining;
+}
+
+export class ReservationError extends Error {
+    constructor(
+        message: string,
+        public readonly code: 'sold_out' | 'not_found' | 'expired',
+    ) {
+        super(message);
+        this.name = 'ReservationError';
+    }
+}
+
+export interface DropInventory {
+    id: string;
+    allocations: Record<BoxSize, number>;
+}
+
+export type ReservationDetails = Pick<Reservation, 'boxSize' | 'firstName' | 'phone' | 'postcode' | 'address'>;
+
+/** Every reservation made against a drop, including lapsed holds. */
+export async function listReservations(dropId: string): Promise<Reservation[]> {
+    const store = getDataStore();
+    const ids = await store.list<string>(dropListKey(dropId));
+    const reservations = await store.getMany<Reservation>(ids.map(reservationKey));
+    return reservations.filter((reservation): reservation is Reservation => reservation !== undefined);
+}
+
+/** Boxes left per size: those whose slot nobody holds. */
+export async function getRemainingBoxes(drop: DropInventory): Promise<Record<BoxSize, number>> {
+    const sizes = Object.keys(drop.allocations) as BoxSize[];
+    const keys = sizes.map((size) => slotKeys(drop.id, size, drop.allocations[size]));
+    const claims = await getDataStore().getMany<string>(keys.flat());
+
+    const remaining = {} as Record<BoxSize, number>;
+    let offset = 0;
+    sizes.forEach((size, index) => {
+        const sizeClaims = claims.slice(offset, offset + keys[index].length);
+        remaining[size] = sizeClaims.filter((claim) => claim === undefined).length;
+        offset += keys[index].length;
+    });
+    return remaining;
+}
+
+/**
+ * Holds one box of the requested size against a drop. Throws a
+ * ReservationError with code "sold_out" when none are left.
+ */
+export async function reserveBox(
+    drop: DropInventory,
+    details: ReservationDetails,
+    now: Date = new Date(),
+): Promise<{ reservation: Reservation; remaining: Record<BoxSize, number> }> {
+    const store = getDataStore();
+    const id = randomUUID();
+    const holdSeconds = holdMinutes() * 60;
+
+    // Try the slots that looked free; losing a race for one just moves on to the next
+    const keys = slotKeys(drop.id, details.boxSize, drop.allocations[details.boxSize]);
+    const claims = await store.getMany<string>(keys);
+    let slot = -1;
+    for (const [index, claim] of claims.entries()) {
+        if (claim === undefined && await store.setIfAbsent(keys[index], id, holdSeconds + CLAIM_GRACE_SECONDS)) {
+            slot = index;
+            break;
+        }
+    }
+    if (slot < 0) {
+        throw new ReservationError(`No ${details.boxSize} boxes left`, 'sold_out');
+    }
+
+    const reservation: Reservation = {
+        ...details,
+        id,
+        dropId: drop.id,
+        status: 'held',
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + holdSeconds * 1000).toISOString(),
+        slot,
+    };
+    try {
+        await store.set(reservationKey(id), reservation);
+        await store.append(dropListKey(drop.id), id);
+    } catch (error) {
+        // Give the box back rather than leave it held by a reservation nobody can see
+        await store.delete(keys[slot]);
+        throw error;
+    }
+
+    return { reservation, remaining: await getRemainingBoxes(drop) };
+}
+
+/** Marks a held reservation as paid so it no longer expires. */
+export async function confirmReservation(dropId: string, id: string, now: Date = new Date()): Promise<Reservation> {
+    const store = getDataStore();
+    const reservation = await store.get<Reservation>(reservationKey(id));
+
+    if (!reservation || reservation.dropId !== dropId || reservation.status === 'cancelled') {
+        throw new ReservationError('Reservation not found', 'not_found');
+    }
+    const key = slotKey(dropId, reservation.boxSize, reservation.slot);
+    if (reservation.status === 'held' && (!isActive(reservation, now) || (await store.get<string>(key)) !== id)) {
+        throw new ReservationError('Reservation hold has expired', 'expired');
+    }
+
+    // Keep the box claimed for good, then record the payment
+    await store.set(key, id);
+    const confirmed: Reservation = { ...reservation, status: 'confirmed' };
+    await store.set(reservationKey(id), confirmed);
+    return confirmed;
+}
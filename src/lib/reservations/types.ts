@@ -0,0 +1,24 @@
+import { PRODUCT_IDS, type ProductId } from '../products';
+
+/** Boxes are reserved by catalogue product ID (see src/data/products.ts). */
+export type BoxSize = ProductId;
+
+export const BOX_SIZES: BoxSize[] = PRODUCT_IDS;
+
+export type ReservationStatus = 'held' | 'confirmed' | 'cancelled';
+
+export interface Reservation {
+    id: string;
+    dropId: string;
+    boxSize: BoxSize;
+    firstName: string;
+    phone: string;
+    postcode: string;
+    address: string;
+    status: ReservationStatus;
+    createdAt: string;
+    /** Held reservations lapse after this time unless confirmed. */
+    expiresAt: string;
+    /** Which of the drop's boxes of this size it holds; see ./index.ts. */
+    slot: number;
+}
@@ -0,0 +1,30 @@
+export interface RetryOptions {
+    /** Total tries, including the first. */
+    attempts?: number;
+    baseDelayMs?: number;
+    maxDelayMs?: number;
+    /** Return false to give up straight away, e.g. on a 4xx response. */
+    shouldRetry?: (error: unknown) => boolean;
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Calls `fn` until it resolves, waiting with exponential backoff and jitter
+ * between tries. Rethrows the last error once the attempts run out.
+ */
+export async function withRetry<T>(fn: (attempt: number) => Promise<T>, options: RetryOptions = {}): Promise<T> {
+    const { attempts = 4, baseDelayMs = 250, maxDelayMs = 4000, shouldRetry = () => true } = options;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= attempts || !shouldRetry(error)) {
+                throw error;
+            }
+            const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+            await sleep(delay / 2 + Math.random() * (delay / 2));
+        }
+    }
+}
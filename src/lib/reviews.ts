@@ -0,0 +1,146 @@
+import { randomUUID } from 'node:crypto';
+import { getDataStore } from './data-store';
+import { withLock } from './storage';
+import { parseAustralianPhone } from './validation';
+
+/**
+ * Customer reviews waiting for moderation. Submissions from /api/reviews are
+ * held here as pending; approving one (bun scripts/reviews.mjs approve <id>)
+ * writes it into the testimonials collection, which is what the site shows
+ * and what the rating schema is computed from.
+ */
+
+export type ReviewStatus = 'pending' | 'approved' | 'rejected';
+
+export interface Review {
+    id: string;
+    /** Name as the customer wants it shown, e.g. "Sarah M." */
+    name: string;
+    suburb: string;
+    rating: number;
+    quote: string;
+    /** For checking the reviewer was a customer. Never published. */
+    phone: string;
+    status: ReviewStatus;
+    submittedAt: string;
+    moderatedAt?: string;
+}
+
+export type ReviewField = 'name' | 'suburb' | 'rating' | 'quote' | 'phone';
+
+export type ReviewValidation =
+    | { ok: true; value: Pick<Review, ReviewField> }
+    | { ok: false; errors: Partial<Record<ReviewField, string>> };
+
+const MAX_NAME_LENGTH = 40;
+const MAX_SUBURB_LENGTH = 40;
+const MIN_QUOTE_LENGTH = 20;
+const MAX_QUOTE_LENGTH = 600;
+
+// Reads and writes go through one lock so two moderations can't overwrite
+// each other (or a submission arriving at the same time)
+const LOCK_KEY = 'reviews';
+
+// In the shared data store, so submissions survive serverless instances
+const LIST_KEY = 'reviews';
+
+function text(value: unknown): string {
+    return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+}
+
+export function validateReview(input: Partial<Record<ReviewField, unknown>>): ReviewValidation {
+    const errors: Partial<Record<ReviewField, string>> = {};
+
+    const name = text(input.name);
+    if (!name || !/\p{L}/u.test(name)) {
+        errors.name = 'Please enter your name';
+    } else if (name.length > MAX_NAME_LENGTH) {
+        errors.name = `Please keep your name under ${MAX_NAME_LENGTH} characters`;
+    }
+
+    const suburb = text(input.suburb);
+    if (!suburb) {
+        errors.suburb = 'Please enter your suburb';
+    } else if (suburb.length > MAX_SUBURB_LENGTH) {
+        errors.suburb = `Please keep your suburb under ${MAX_SUBURB_LENGTH} characters`;
+    }
+
+    const rating = Number(input.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        errors.rating = 'Please choose a rating from 1 to 5 stars';
+    }
+
+    const quote = text(input.quote);
+    if (quote.length < MIN_QUOTE_LENGTH) {
+        errors.quote = 'Please tell us a little more';
+    } else if (quote.length > MAX_QUOTE_LENGTH) {
+        errors.quote = `Please keep your review under ${MAX_QUOTE_LENGTH} characters`;
+    }
+
+    const phone = parseAustralianPhone(text(input.phone));
+    if (!phone) {
+        errors.phone = 'Please enter the number you ordered with';
+    }
+
+    if (Object.keys(errors).length > 0 || !phone) {
+        return { ok: false, errors };
+    }
+    return { ok: true, value: { name, suburb, rating, quote, phone: phone.e164 } };
+}
+
+export function listReviews(status?: ReviewStatus): Promise<Review[]> {
+    return getDataStore().list<Review>(LIST_KEY).then((reviews) =>
+        status ? reviews.filter((review) => review.status === status) : reviews,
+    );
+}
+
+export function submitReview(details: Pick<Review, ReviewField>): Promise<Review> {
+    return withLock(LOCK_KEY, async () => {
+        const review: Review = {
+            id: randomUUID().slice(0, 8),
+            ...details,
+            status: 'pending',
+            submittedAt: new Date().toISOString(),
+        };
+        await getDataStore().append(LIST_KEY, review);
+        return review;
+    });
+}
+
+/** Approves or rejects a review. Resolves to undefined if there's no such review. */
+export function moderateReview(id: string, status: Exclude<ReviewStatus, 'pending'>): Promise<Review | undefined> {
+    return withLock(LOCK_KEY, async () => {
+        const reviews = await listReviews();
+        const review = reviews.find((r) => r.id === id);
+        if (!review) return undefined;
+
+        review.status = status;
+        review.moderatedAt = new Date().toISOString();
+        await getDataStore().replaceList(LIST_KEY, reviews);
+        return review;
+    });
+}
+
+/** Drops every review submitted with a phone number, e.g. after a deletion request. */
+export function purgeReviews(phone: string): Promise<number> {
+    return withLock(LOCK_KEY, async () => {
+        const reviews = await listReviews();
+        const kept = reviews.filter((review) => review.phone !== phone);
+        if (kept.length !== reviews.length) {
+            await getDataStore().replaceList(LIST_KEY, kept);
+        }
+        return reviews.length - kept.length;
+    });
+}
+
+/** The testimonials collection entry for an approved review (see src/content.config.ts). */
+export function testimonialEntry(review: Review) {
+    return {
+        name: review.name,
+        suburb: review.suburb,
+        rating: review.rating,
+        // Melbourne calendar day, like every other date in the content collections
+        date: new Intl.DateTimeFormat('en-CA', { timeZone: 'Australia/Melbourne' }).format(new Date(review.submittedAt)),
+        quote: review.quote,
+    };
+}
@@ -0,0 +1,134 @@
+import { distanceKm, farm, suburbs, zones, type DeliveryDay, type DeliveryZone, type GeoPoint, type Suburb } from './delivery-zones';
+
+/**
+ * Plans the delivery runs for a drop. Deliveries are placed in a suburb from
+ * their postcode (and address, where a postcode covers several suburbs), then
+ * grouped into one run per delivery day and zone. Each run visits its suburbs
+ * nearest-first from the farm, using the centroids in src/data/delivery-zones.ts,
+ * so distances are straight-line estimates rather than road kilometres.
+ */
+
+export interface Delivery {
+    name: string;
+    phone: string;
+    postcode: string;
+    address?: string;
+    /** Catalogue product ID, when planning from orders rather than sign-ups. */
+    boxSize?: string;
+    /** Suburb name, if known. Otherwise it's worked out from the address. */
+    suburb?: string;
+}
+
+export interface Stop {
+    suburb: Suburb;
+    /** Straight-line distance from the previous stop (or the farm). */
+    legKm: number;
+    deliveries: Delivery[];
+}
+
+export interface RunSheet {
+    day: DeliveryDay;
+    zone: DeliveryZone;
+    stops: Stop[];
+    /** Straight-line distance for the whole run, back to the farm included. */
+    distanceKm: number;
+    /** Box count by size. Deliveries without a box size aren't counted. */
+    boxes: Record<string, number>;
+}
+
+export interface RunPlan {
+    sheets: RunSheet[];
+    /** Deliveries whose postcode isn't in any zone. */
+    unplaced: Delivery[];
+}
+
+const DAY_ORDER: DeliveryDay[] = ['Friday', 'Saturday'];
+
+const round = (km: number) => Math.round(km * 10) / 10;
+
+/**
+ * The served suburb a delivery is in: the named suburb if it matches the
+ * postcode, else one whose name appears in the address (longest name first,
+ * so "Ballarat East" wins over "Ballarat"), else the postcode's first suburb.
+ */
+export function resolveSuburb(delivery: Delivery): Suburb | undefined {
+    const candidates = suburbs.filter((s) => s.postcode === delivery.postcode.trim());
+    if (delivery.suburb) {
+        const named = candidates.find((s) => s.name.toLowerCase() === delivery.suburb!.trim().toLowerCase());
+        if (named) return named;
+    }
+
+    const address = delivery.address?.toLowerCase() ?? '';
+    const mentioned = [...candidates]
+        .sort((a, b) => b.name.length - a.name.length)
+        .find((s) => address.includes(s.name.toLowerCase()));
+    return mentioned ?? candidates[0];
+}
+
+/** Orders stops by always driving to the closest suburb not yet visited. */
+function routeStops(bySuburb: Map<Suburb, Delivery[]>): Stop[] {
+    const remaining = [...bySuburb.keys()];
+    const stops: Stop[] = [];
+    let position: GeoPoint = farm;
+
+    while (remaining.length > 0) {
+        let nearest = 0;
+        for (let i = 1; i < remaining.length; i++) {
+            if (distanceKm(position, remaining[i]) < distanceKm(position, remaining[nearest])) {
+                nearest = i;
+            }
+        }
+        const [suburb] = remaining.splice(nearest, 1);
+        const deliveries = [...bySuburb.get(suburb)!].sort((a, b) =>
+            (a.address ?? '').localeCompare(b.address ?? ''),
+        );
+        stops.push({ suburb, legKm: round(distanceKm(position, suburb)), deliveries });
+        position = suburb;
+    }
+
+    return stops;
+}
+
+/** Groups deliveries into runs by delivery day, then zone, each routed from the farm. */
+export function planRuns(deliveries: Delivery[]): RunPlan {
+    const byZone = new Map<string, Map<Suburb, Delivery[]>>();
+    const unplaced: Delivery[] = [];
+
+    for (const delivery of deliveries) {
+        const suburb = resolveSuburb(delivery);
+        if (!suburb) {
+            unplaced.push(delivery);
+            continue;
+        }
+        const zoneStops = byZone.get(suburb.zone) ?? new Map<Suburb, Delivery[]>();
+        zoneStops.set(suburb, [...(zoneStops.get(suburb) ?? []), delivery]);
+        byZone.set(suburb.zone, zoneStops);
+    }
+
+    const sheets: RunSheet[] = [];
+    for (const day of DAY_ORDER) {
+        for (const zone of zones.filter((z) => z.deliveryDay === day)) {
+            const bySuburb = byZone.get(zone.id);
+            if (!bySuburb) continue;
+
+            const stops = routeStops(bySuburb);
+            const last = stops[stops.length - 1].suburb;
+            const boxes: Record<string, number> = {};
+            for (const delivery of stops.flatMap((stop) => stop.deliveries)) {
+                if (delivery.boxSize) {
+                    boxes[delivery.boxSize] = (boxes[delivery.boxSize] ?? 0) + 1;
+                }
+            }
+
+            sheets.push({
+                day,
+                zone,
+                stops,
+                distanceKm: round(stops.reduce((sum, stop) => sum + stop.legKm, 0) + distanceKm(last, farm)),
+                boxes,
+            });
+        }
+    }
+
+    return { sheets, unplaced };
+}
@@ -0,0 +1,17 @@
+import { ProviderConfigError } from './subscribers/types';
+
+/**
+ * A signing or hashing key from the environment. There's deliberately no
+ * development fallback: a default would be published with the code, and
+ * anyone could use it to forge what the key protects. The API routes turn the
+ * ProviderConfigError into a "Server configuration error" response.
+ *
+ * Astro replaces each `import.meta.env.NAME` where it's written, so callers
+ * read the variable themselves and pass it in.
+ */
+export function requireSecret(name: string, value: string | undefined): string {
+    if (!value) {
+        throw new ProviderConfigError(`${name} is not set`);
+    }
+    return value;
+}
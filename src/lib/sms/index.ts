@@ -0,0 +1,43 @@
+import type { Logger } from '../logger';
+import { dataPath } from '../storage';
+import { ProviderConfigError } from '../subscribers/types';
+import { LocalSmsGateway } from './local';
+import { TwilioSmsGateway } from './twilio';
+import type { SmsGateway } from './types';
+
+export * from './types';
+export { LocalSmsGateway } from './local';
+export { TwilioSmsGateway } from './twilio';
+
+/**
+ * The gateway is chosen with SMS_GATEWAY: "twilio" (default) or "local",
+ * which prints messages and writes them to DATA_DIR/sms-outbox.jsonl instead
+ * of sending them. Twilio needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and
+ * TWILIO_FROM; without them this throws a ProviderConfigError naming the
+ * missing settings.
+ */
+export function getSmsGateway(log?: Logger): SmsGateway {
+    const name = import.meta.env.SMS_GATEWAY || 'twilio';
+
+    switch (name) {
+        case 'twilio': {
+            const accountSid = import.meta.env.TWILIO_ACCOUNT_SID;
+            const authToken = import.meta.env.TWILIO_AUTH_TOKEN;
+            const from = import.meta.env.TWILIO_FROM;
+
+            if (!accountSid || !authToken || !from) {
+                const missing = Object.entries({
+                    TWILIO_ACCOUNT_SID: accountSid,
+                    TWILIO_AUTH_TOKEN: authToken,
+                    TWILIO_FROM: from
+                }).filter(([, value]) => !value).map(([key]) => key);
+                throw new ProviderConfigError(`Missing Twilio configuration: ${missing.join(', ')}`);
+            }
+            return new TwilioSmsGateway({ accountSid, authToken, from }, log);
+        }
+        case 'local':
+            return new LocalSmsGateway(dataPath('sms-outbox.jsonl'));
+        default:
+            throw new ProviderConfigError(`Unknown SMS_GATEWAY "${name}"`);
+    }
+}
@@ -0,0 +1,18 @@
+import { appendJsonLine } from '../storage';
+import type { SmsGateway, SmsMessage } from './types';
+
+/**
+ * Development stand-in that sends nothing: each message is printed to the
+ * console and appended to a JSON Lines outbox, so codes can be read off the
+ * terminal or picked up from the file.
+ */
+export class LocalSmsGateway implements SmsGateway {
+    readonly name = 'local';
+
+    constructor(private readonly path: string) {}
+
+    async send(message: SmsMessage): Promise<void> {
+        await appendJsonLine(this.path, { at: new Date().toISOString(), ...message });
+        console.log(`📱 SMS to ${message.to}: ${message.body}`);
+    }
+}
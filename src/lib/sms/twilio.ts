@@ -0,0 +1,42 @@
+import { createLogger, type Logger } from '../logger';
+import { UpstreamError } from '../subscribers/types';
+import type { SmsGateway, SmsMessage } from './types';
+
+export interface TwilioConfig {
+    accountSid: string;
+    authToken: string;
+    /** Sending number or alphanumeric sender ID, e.g. "FergusonLS". */
+    from: string;
+}
+
+export class TwilioSmsGateway implements SmsGateway {
+    readonly name = 'twilio';
+
+    constructor(
+        private readonly config: TwilioConfig,
+        private readonly log: Logger = createLogger()
+    ) {}
+
+    async send(message: SmsMessage): Promise<void> {
+        const { accountSid, authToken, from } = this.config;
+        const started = performance.now();
+
+        const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({ To: message.to, From: from, Body: message.body })
+        });
+
+        const fields = { status: response.status, durationMs: Math.round(performance.now() - started) };
+        if (!response.ok) {
+            // Twilio's error code says why, e.g. 21211 for an invalid number
+            const error = await response.json().catch(() => ({}));
+            this.log.warn('twilio.response', { ...fields, errorCode: error.code });
+            throw new UpstreamError('Twilio message send failed', response.status);
+        }
+        this.log.info('twilio.response', fields);
+    }
+}
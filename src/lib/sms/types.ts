@@ -0,0 +1,11 @@
+export interface SmsMessage {
+    /** E.164 phone number, e.g. +61412345678 */
+    to: string;
+    body: string;
+}
+
+/** Sends one-off texts, such as sign-up verification codes. */
+export interface SmsGateway {
+    readonly name: string;
+    send(message: SmsMessage): Promise<void>;
+}
@@ -0,0 +1,77 @@
+import { mkdir, readFile, rename, writeFile, appendFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+
+/**
+ * Directory for the local file-backed stores. Serverless filesystems are
+ * read-only or ephemeral, so these backends are meant for local development
+ * and single-server deployments.
+ */
+export function dataPath(...segments: string[]): string {
+    return join(import.meta.env.DATA_DIR || '.data', ...segments);
+}
+
+export async function readJson<T>(path: string, fallback: T): Promise<T> {
+    try {
+        return JSON.parse(await readFile(path, 'utf8')) as T;
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+            return fallback;
+        }
+        throw error;
+    }
+}
+
+/** Writes via a temp file and rename so readers never see a half-written file. */
+export async function writeJson(path: string, value: unknown): Promise<void> {
+    await mkdir(dirname(path), { recursive: true });
+    const tmpPath = `${path}.${process.pid}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(value, null, 2));
+    await rename(tmpPath, path);
+}
+
+export async function appendJsonLine(path: string, value: unknown): Promise<void> {
+    await mkdir(dirname(path), { recursive: true });
+    await appendFile(path, JSON.stringify(value) + '\n');
+}
+
+/** Replaces a JSON Lines file's contents, again via temp file and rename. */
+export async function writeJsonLines(path: string, values: unknown[]): Promise<void> {
+    await mkdir(dirname(path), { recursive: true });
+    const tmpPath = `${path}.${process.pid}.tmp`;
+    await writeFile(tmpPath, values.map((value) => JSON.stringify(value) + '\n').join(''));
+    await rename(tmpPath, path);
+}
+
+export async function readJsonLines<T>(path: string): Promise<T[]> {
+    let text: string;
+    try {
+        text = await readFile(path, 'utf8');
+    } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+    return text
+        .split('\n')
+        .filter((line) => line.trim() !== '')
+        .map((line) => JSON.parse(line) as T);
+}
+
+const locks = new Map<string, Promise<unknown>>();
+
+/**
+ * Runs `fn` once every earlier call with the same key has settled. This only
+ * serialises work inside one process, which is all the file stores need.
+ */
+export function withLock<T>(key: string, fn: () => Promise<T>): Promise<T> {
+    const previous = locks.get(key) ?? Promise.resolve();
+    const next = previous.catch(() => undefined).then(fn);
+    locks.set(key, next);
+    next.finally(() => {
+        if (locks.get(key) === next) {
+            locks.delete(key);
+        }
+    }).catch(() => undefined);
+    return next;
+}
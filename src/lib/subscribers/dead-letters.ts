@@ -0,0 +1,61 @@
+import { randomUUID } from 'node:crypto';
+import { getDataStore } from '../data-store';
+import { withLock } from '../storage';
+import type { DeliveryStep } from './deliver';
+import type { SubscriberDetails } from './types';
+
+/** A sign-up that couldn't be delivered to the provider, kept for replay. */
+export interface DeadLetter {
+    id: string;
+    idempotencyKey?: string;
+    provider: string;
+    details: SubscriberDetails;
+    step: DeliveryStep;
+    error: string;
+    failedAt: string;
+    attempts: number;
+}
+
+// Kept in the shared data store so queued sign-ups survive until replayed
+const LIST_KEY = 'dead-letters';
+
+export function recordDeadLetter(entry: Omit<DeadLetter, 'id' | 'failedAt' | 'attempts'>): Promise<DeadLetter> {
+    const deadLetter: DeadLetter = {
+        ...entry,
+        id: randomUUID(),
+        failedAt: new Date().toISOString(),
+        attempts: 1,
+    };
+    return withLock(LIST_KEY, async () => {
+        await getDataStore().append(LIST_KEY, deadLetter);
+        return deadLetter;
+    });
+}
+
+export function readDeadLetters(): Promise<DeadLetter[]> {
+    return getDataStore().list<DeadLetter>(LIST_KEY);
+}
+
+/**
+ * Swaps the `replayed` entries for `remaining`, keeping anything recorded
+ * while the replay was running.
+ */
+export function settleDeadLetters(replayed: DeadLetter[], remaining: DeadLetter[]): Promise<void> {
+    return withLock(LIST_KEY, async () => {
+        const replayedIds = new Set(replayed.map((entry) => entry.id));
+        const added = (await readDeadLetters()).filter((entry) => !replayedIds.has(entry.id));
+        await getDataStore().replaceList(LIST_KEY, [...remaining, ...added]);
+    });
+}
+
+/** Drops every queued sign-up for a phone number, e.g. after a deletion request. */
+export function purgeDeadLetters(phone: string): Promise<number> {
+    return withLock(LIST_KEY, async () => {
+        const entries = await readDeadLetters();
+        const kept = entries.filter((entry) => entry.details.phone !== phone);
+        if (kept.length !== entries.length) {
+            await getDataStore().replaceList(LIST_KEY, kept);
+        }
+        return entries.length - kept.length;
+    });
+}
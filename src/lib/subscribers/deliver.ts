@@ -0,0 +1,56 @@
+import { createLogger, type Logger } from '../logger';
+import { withRetry } from '../retry';
+import { UpstreamError, type SubscriberDetails, type SubscriberProvider } from './types';
+
+export type DeliveryStep = 'subscribe' | 'upsertProfile' | 'addToList';
+
+/** A sign-up step that still failed after every retry. */
+export class DeliveryError extends Error {
+    constructor(
+        public readonly step: DeliveryStep,
+        cause: unknown,
+    ) {
+        super(`Subscriber ${step} failed: ${cause instanceof Error ? cause.message : String(cause)}`, { cause });
+        this.name = 'DeliveryError';
+    }
+}
+
+// Network failures, rate limits and 5xx are retried; a 4xx won't fix itself.
+const shouldRetry = (error: unknown) => !(error instanceof UpstreamError) || error.retryable;
+
+async function step<T>(log: Logger, name: DeliveryStep, fn: () => Promise<T>): Promise<T> {
+    const started = performance.now();
+    let attempts = 0;
+    const timing = () => ({ step: name, attempts, durationMs: Math.round(performance.now() - started) });
+
+    try {
+        const result = await withRetry((attempt) => {
+            attempts = attempt;
+            return fn();
+        }, { shouldRetry });
+        log.info('delivery.step_done', timing());
+        return result;
+    } catch (error) {
+        log.error('delivery.step_failed', { ...timing(), error });
+        throw new DeliveryError(name, error);
+    }
+}
+
+/**
+ * Runs the full sign-up against a provider, retrying each step with backoff.
+ * Throws a DeliveryError naming the step that gave up. Each step's duration
+ * and number of tries is logged to `log`.
+ */
+export async function deliverSubscription(
+    provider: SubscriberProvider,
+    details: SubscriberDetails,
+    log: Logger = createLogger()
+): Promise<void> {
+    log = log.child({ provider: provider.name });
+    await step(log, 'subscribe', () => provider.subscribe(details));
+
+    const profileId = await step(log, 'upsertProfile', () => provider.upsertProfile(details));
+    if (profileId) {
+        await step(log, 'addToList', () => provider.addToList(profileId));
+    }
+}
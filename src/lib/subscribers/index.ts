@@ -0,0 +1,37 @@
+import type { Logger } from '../logger';
+import { dataPath } from '../storage';
+import { KlaviyoProvider } from './klaviyo';
+import { LocalSubscriberProvider } from './local';
+import { ProviderConfigError, type SubscriberProvider } from './types';
+
+export * from './types';
+export { KlaviyoProvider } from './klaviyo';
+export { LocalSubscriberProvider, type LocalProfile } from './local';
+export { DeliveryError, deliverSubscription, type DeliveryStep } from './deliver';
+export { purgeDeadLetters, readDeadLetters, recordDeadLetter, settleDeadLetters, type DeadLetter } from './dead-letters';
+
+/**
+ * The provider is chosen with SUBSCRIBER_PROVIDER: "klaviyo" (default) or
+ * "local", which writes to DATA_DIR/subscribers.jsonl and needs no network.
+ * Pass a request's logger to tag the provider's upstream calls with its ID.
+ */
+export function getSubscriberProvider(log?: Logger): SubscriberProvider {
+    const name = import.meta.env.SUBSCRIBER_PROVIDER || 'klaviyo';
+
+    switch (name) {
+        case 'klaviyo': {
+            const publicApiKey = import.meta.env.KLAVIYO_PUBLIC_API_KEY;
+            const privateApiKey = import.meta.env.KLAVIYO_API_KEY;
+            const listId = import.meta.env.KLAVIYO_LIST_ID;
+
+            if (!publicApiKey || !listId) {
+                throw new ProviderConfigError('Missing Klaviyo configuration');
+            }
+            return new KlaviyoProvider({ publicApiKey, privateApiKey, listId }, log);
+        }
+        case 'local':
+            return new LocalSubscriberProvider(dataPath('subscribers.jsonl'));
+        default:
+            throw new ProviderConfigError(`Unknown SUBSCRIBER_PROVIDER "${name}"`);
+    }
+}
@@ -0,0 +1,275 @@
+import { createLogger, type Logger } from '../logger';
+import {
+    ProviderConfigError,
+    UpstreamError,
+    type StoredSubscriber,
+    type SubscriberDetails,
+    type SubscriberProvider
+} from './types';
+
+const SOURCE = 'Ferguson Livestock Website';
+
+/**
+ * The codes and messages from a Klaviyo error response, for the logs. Reads a
+ * clone, so the caller can still read the body.
+ */
+async function upstreamErrors(response: Response): Promise<unknown> {
+    try {
+        const body = await response.clone().json();
+        return (body.errors ?? []).map((error: { code?: string; title?: string; detail?: string }) => ({
+            code: error.code,
+            title: error.title,
+            detail: error.detail
+        }));
+    } catch {
+        return undefined;
+    }
+}
+
+export interface KlaviyoConfig {
+    /** Public API key (site ID), used for client subscriptions. */
+    publicApiKey: string;
+    /** Private API key, needed to search, update and create profiles. */
+    privateApiKey?: string;
+    listId: string;
+}
+
+export class KlaviyoProvider implements SubscriberProvider {
+    readonly name = 'klaviyo';
+
+    constructor(
+        private readonly config: KlaviyoConfig,
+        private readonly log: Logger = createLogger()
+    ) {}
+
+    /**
+     * Sends a request and logs the call's name, status and duration, plus
+     * Klaviyo's error codes when it fails. Bodies aren't logged, as they're
+     * full of customer details.
+     */
+    private async request(call: string, url: string, init: RequestInit): Promise<Response> {
+        const started = performance.now();
+        const response = await fetch(url, init);
+        const fields = { call, method: init.method, status: response.status, durationMs: Math.round(performance.now() - started) };
+
+        if (response.ok) {
+            this.log.info('klaviyo.response', fields);
+        } else {
+            this.log.warn('klaviyo.response', { ...fields, errors: await upstreamErrors(response) });
+        }
+        return response;
+    }
+
+    private async api(call: string, path: string, method: string, body?: unknown): Promise<Response> {
+        return this.request(call, `https://a.klaviyo.com/api/${path}`, {
+            method,
+            headers: {
+                'Authorization': `Klaviyo-API-Key ${this.config.privateApiKey}`,
+                'Content-Type': 'application/json',
+                'revision': '2024-02-15'
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+    }
+
+    // Step 1: Client subscription endpoint (records SMS consent)
+    async subscribe(details: SubscriberDetails): Promise<void> {
+        const payload = {
+            data: {
+                type: 'subscription',
+                attributes: {
+                    list_id: this.config.listId,
+                    custom_source: SOURCE,
+                    phone_number: details.phone,
+                    properties: {
+                        first_name: details.firstName,
+                        ...details.properties,
+                        signup_date: new Date().toISOString()
+                    }
+                }
+            }
+        };
+
+        const response = await this.request('client_subscription', `https://a.klaviyo.com/client/subscriptions/?company_id=${this.config.publicApiKey}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'revision': '2023-06-15'
+            },
+            body: JSON.stringify(payload)
+        });
+
+        if (!response.ok) {
+            throw new UpstreamError('Klaviyo client subscription failed', response.status);
+        }
+    }
+
+    private async updateProfile(profileId: string, details: SubscriberDetails): Promise<void> {
+        const updatePayload = {
+            data: {
+                type: 'profile',
+                id: profileId,
+                attributes: {
+                    first_name: details.firstName,
+                    properties: {
+                        ...details.properties,
+                        source: SOURCE
+                    }
+                }
+            }
+        };
+
+        const updateResponse = await this.api('profile_update', `profiles/${profileId}/`, 'PATCH', updatePayload);
+
+        if (!updateResponse.ok) {
+            throw new UpstreamError('Klaviyo profile update failed', updateResponse.status);
+        }
+    }
+
+    // Steps 2-3: Find the profile by phone number, then update or create it
+    async upsertProfile(details: SubscriberDetails): Promise<string | undefined> {
+        if (!this.config.privateApiKey) {
+            this.log.warn('klaviyo.profile_skipped', { reason: 'KLAVIYO_API_KEY is not set' });
+            return undefined;
+        }
+
+        const searchPath = `profiles/?filter=equals(phone_number,"${encodeURIComponent(details.phone)}")`;
+        const searchResponse = await this.api('profile_search', searchPath, 'GET');
+        const searchText = await searchResponse.text();
+
+        if (!searchResponse.ok) {
+            throw new UpstreamError('Klaviyo profile search failed', searchResponse.status);
+        }
+
+        const searchData = JSON.parse(searchText);
+
+        if (searchData.data && searchData.data.length > 0) {
+            const profileId: string = searchData.data[0].id;
+            this.log.info('klaviyo.profile_found', { profileId });
+
+            await this.updateProfile(profileId, details);
+            return profileId;
+        }
+
+        const createPayload = {
+            data: {
+                type: 'profile',
+                attributes: {
+                    phone_number: details.phone,
+                    first_name: details.firstName,
+                    properties: {
+                        ...details.properties,
+                        source: SOURCE,
+                        signup_date: new Date().toISOString()
+                    }
+                }
+            }
+        };
+
+        const createResponse = await this.api('profile_create', 'profiles/', 'POST', createPayload);
+        const createText = await createResponse.text();
+
+        // The client subscription creates the profile asynchronously, so it may
+        // appear between our search and create. Klaviyo then reports the
+        // existing profile's ID instead of creating a second one.
+        if (createResponse.status === 409) {
+            const duplicateId = JSON.parse(createText).errors?.[0]?.meta?.duplicate_profile_id;
+            if (duplicateId) {
+                this.log.info('klaviyo.profile_found', { profileId: duplicateId, duplicate: true });
+                await this.updateProfile(duplicateId, details);
+                return duplicateId;
+            }
+        }
+        if (!createResponse.ok) {
+            throw new UpstreamError('Klaviyo profile create failed', createResponse.status);
+        }
+        return JSON.parse(createText).data.id;
+    }
+
+    // Step 4: Add the profile to the wait list
+    async addToList(profileId: string): Promise<void> {
+        const listPayload = {
+            data: [
+                {
+                    type: 'profile',
+                    id: profileId
+                }
+            ]
+        };
+
+        const listResponse = await this.api('list_add', `lists/${this.config.listId}/relationships/profiles/`, 'POST', listPayload);
+
+        if (!listResponse.ok) {
+            throw new UpstreamError('Klaviyo add to list failed', listResponse.status);
+        }
+    }
+
+    private requirePrivateKey(action: string): void {
+        if (!this.config.privateApiKey) {
+            throw new ProviderConfigError(`KLAVIYO_API_KEY is needed to ${action}`);
+        }
+    }
+
+    async findProfile(phone: string): Promise<StoredSubscriber | undefined> {
+        this.requirePrivateKey('look up profiles');
+
+        const searchPath = `profiles/?filter=equals(phone_number,"${encodeURIComponent(phone)}")&additional-fields[profile]=subscriptions`;
+        const response = await this.api('profile_search', searchPath, 'GET');
+        if (!response.ok) {
+            throw new UpstreamError('Klaviyo profile search failed', response.status);
+        }
+
+        const profile = (await response.json()).data?.[0];
+        if (!profile) return undefined;
+
+        const { attributes } = profile;
+        return {
+            phone: attributes.phone_number,
+            firstName: attributes.first_name ?? '',
+            properties: attributes.properties ?? {},
+            smsConsent: attributes.subscriptions?.sms?.marketing?.consent === 'SUBSCRIBED',
+            createdAt: attributes.created
+        };
+    }
+
+    async unsubscribe(phone: string): Promise<void> {
+        this.requirePrivateKey('unsubscribe profiles');
+
+        const response = await this.api('unsubscribe', 'profile-subscription-bulk-delete-jobs/', 'POST', {
+            data: {
+                type: 'profile-subscription-bulk-delete-job',
+                attributes: {
+                    profiles: {
+                        data: [{ type: 'profile', attributes: { phone_number: phone } }]
+                    }
+                },
+                relationships: {
+                    list: { data: { type: 'list', id: this.config.listId } }
+                }
+            }
+        });
+        if (!response.ok) {
+            throw new UpstreamError('Klaviyo unsubscribe failed', response.status);
+        }
+    }
+
+    // Klaviyo runs deletions as a background job and erases the profile
+    // from every list and flow
+    async deleteProfile(phone: string): Promise<void> {
+        this.requirePrivateKey('delete profiles');
+
+        const response = await this.api('deletion_request', 'data-privacy-deletion-jobs/', 'POST', {
+            data: {
+                type: 'data-privacy-deletion-job',
+                attributes: {
+                    profile: {
+                        data: { type: 'profile', attributes: { phone_number: phone } }
+                    }
+                }
+            }
+        });
+        if (!response.ok) {
+            throw new UpstreamError('Klaviyo deletion request failed', response.status);
+        }
+    }
+}
@@ -0,0 +1,104 @@
+import { randomUUID } from 'node:crypto';
+import { appendJsonLine, readJsonLines, withLock, writeJsonLines } from '../storage';
+import type { StoredSubscriber, SubscriberDetails, SubscriberProvider } from './types';
+
+export interface LocalProfile {
+    id: string;
+    phone: string;
+    firstName: string;
+    properties: Record<string, string | number | boolean>;
+    smsConsent: boolean;
+    onList: boolean;
+    createdAt: string;
+    updatedAt: string;
+}
+
+type LocalEvent =
+    | { type: 'subscribe'; at: string; phone: string; firstName: string; properties: LocalProfile['properties'] }
+    | { type: 'upsert'; at: string; id: string; phone: string; firstName: string; properties: LocalProfile['properties'] }
+    | { type: 'add_to_list'; at: string; id: string }
+    | { type: 'unsubscribe'; at: string; phone: string };
+
+/**
+ * Appends every call to a JSON Lines file instead of talking to a CRM, so the
+ * subscribe route works offline. Profiles are rebuilt by replaying the file.
+ */
+export class LocalSubscriberProvider implements SubscriberProvider {
+    readonly name = 'local';
+
+    constructor(private readonly path: string) {}
+
+    /** Current state of every profile, keyed by profile ID. */
+    async getProfiles(): Promise<Map<string, LocalProfile>> {
+        const profiles = new Map<string, LocalProfile>();
+        // Latest consent per phone: subscribing grants it, unsubscribing withdraws it
+        const consent = new Map<string, boolean>();
+
+        for (const event of await readJsonLines<LocalEvent>(this.path)) {
+            if (event.type === 'subscribe') {
+                consent.set(event.phone, true);
+            } else if (event.type === 'unsubscribe') {
+                consent.set(event.phone, false);
+            } else if (event.type === 'upsert') {
+                const existing = profiles.get(event.id);
+                profiles.set(event.id, {
+                    id: event.id,
+                    phone: event.phone,
+                    firstName: event.firstName,
+                    properties: { ...existing?.properties, ...event.properties },
+                    smsConsent: false,
+                    onList: existing?.onList ?? false,
+                    createdAt: existing?.createdAt ?? event.at,
+                    updatedAt: event.at,
+                });
+            } else if (event.type === 'add_to_list') {
+                const profile = profiles.get(event.id);
+                if (profile) profile.onList = true;
+            }
+        }
+
+        for (const profile of profiles.values()) {
+            profile.smsConsent = consent.get(profile.phone) ?? false;
+        }
+        return profiles;
+    }
+
+    async subscribe(details: SubscriberDetails): Promise<void> {
+        await appendJsonLine(this.path, { type: 'subscribe', at: new Date().toISOString(), ...details });
+    }
+
+    upsertProfile(details: SubscriberDetails): Promise<string> {
+        return withLock(this.path, async () => {
+            const profiles = await this.getProfiles();
+            const existing = [...profiles.values()].find((profile) => profile.phone === details.phone);
+            const id = existing?.id ?? randomUUID();
+            await appendJsonLine(this.path, { type: 'upsert', at: new Date().toISOString(), id, ...details });
+            return id;
+        });
+    }
+
+    async addToList(profileId: string): Promise<void> {
+        await appendJsonLine(this.path, { type: 'add_to_list', at: new Date().toISOString(), id: profileId });
+    }
+
+    async findProfile(phone: string): Promise<StoredSubscriber | undefined> {
+        const profiles = await this.getProfiles();
+        return [...profiles.values()].find((profile) => profile.phone === phone);
+    }
+
+    async unsubscribe(phone: string): Promise<void> {
+        await appendJsonLine(this.path, { type: 'unsubscribe', at: new Date().toISOString(), phone });
+    }
+
+    /** Rewrites the log without any of this phone's events. */
+    deleteProfile(phone: string): Promise<void> {
+        return withLock(this.path, async () => {
+            const events = await readJsonLines<LocalEvent>(this.path);
+            const ids = new Set(events.flatMap((event) => (event.type === 'upsert' && event.phone === phone ? [event.id] : [])));
+            await writeJsonLines(
+                this.path,
+                events.filter((event) => ('phone' in event ? event.phone !== phone : !ids.has(event.id))),
+            );
+        });
+    }
+}
@@ -0,0 +1,63 @@
+export interface SubscriberDetails {
+    /** E.164 phone number, e.g. +61412345678 */
+    phone: string;
+    firstName: string;
+    /** Extra profile properties such as postcode and delivery zone. */
+    properties: Record<string, string | number | boolean>;
+}
+
+/** What a provider holds about a subscriber, as shown on the data-request page. */
+export interface StoredSubscriber {
+    phone: string;
+    firstName: string;
+    properties: Record<string, unknown>;
+    smsConsent: boolean;
+    createdAt?: string;
+}
+
+/**
+ * Where wait-list sign-ups are sent. The subscribe route calls these in order:
+ * subscribe, then upsertProfile, then addToList with the returned profile ID.
+ */
+export interface SubscriberProvider {
+    readonly name: string;
+    /** Records SMS consent for the phone number on the wait list. */
+    subscribe(details: SubscriberDetails): Promise<void>;
+    /**
+     * Creates the profile or updates the existing one for this phone number.
+     * Resolves to the profile ID, or undefined if the provider can't manage
+     * profiles with its current configuration.
+     */
+    upsertProfile(details: SubscriberDetails): Promise<string | undefined>;
+    addToList(profileId: string): Promise<void>;
+
+    // Self-service privacy requests (see src/lib/privacy.ts)
+    findProfile(phone: string): Promise<StoredSubscriber | undefined>;
+    /** Withdraws SMS consent. The profile itself is kept. */
+    unsubscribe(phone: string): Promise<void>;
+    /** Erases the profile, or asks the provider to. */
+    deleteProfile(phone: string): Promise<void>;
+}
+
+export class ProviderConfigError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'ProviderConfigError';
+    }
+}
+
+/** A provider API call that came back with a non-2xx status. */
+export class UpstreamError extends Error {
+    constructor(
+        message: string,
+        public readonly status: number,
+    ) {
+        super(message);
+        this.name = 'UpstreamError';
+    }
+
+    /** Rate limits and server errors are worth another try; other 4xx aren't. */
+    get retryable(): boolean {
+        return this.status === 429 || this.status >= 500;
+    }
+}
@@ -0,0 +1,61 @@
+import { getCollection, type CollectionEntry } from 'astro:content';
+
+export type Testimonial = CollectionEntry<'testimonials'>;
+
+/** A review that came through moderation, so it has the customer's own rating and date. */
+export type RatedTestimonial = Testimonial & { data: { rating: number; date: string } };
+
+/** Approved reviews, newest first, then the undated quotes from the old site copy. */
+export async function getTestimonials(): Promise<Testimonial[]> {
+    const testimonials = await getCollection('testimonials');
+    return testimonials.sort((a, b) => (b.data.date ?? '').localeCompare(a.data.date ?? ''));
+}
+
+export function isRated(testimonial: Testimonial): testimonial is RatedTestimonial {
+    return testimonial.data.rating !== undefined && testimonial.data.date !== undefined;
+}
+
+/**
+ * schema.org AggregateRating over every rated review, or undefined when
+ * there are none, since a rating with nothing behind it shouldn't be claimed.
+ */
+export function aggregateRating(testimonials: RatedTestimonial[]) {
+    if (testimonials.length === 0) return undefined;
+
+    const total = testimonials.reduce((sum, t) => sum + t.data.rating, 0);
+    return {
+        '@type': 'AggregateRating',
+        ratingValue: String(Math.round((total / testimonials.length) * 10) / 10),
+        ratingCount: String(testimonials.length),
+        reviewCount: String(testimonials.length),
+        bestRating: '5',
+        worstRating: '1',
+    };
+}
+
+/** schema.org Review for one rated review. */
+export function reviewSchema(testimonial: RatedTestimonial) {
+    const { name, rating, date, quote } = testimonial.data;
+    return {
+        '@type': 'Review',
+        author: { '@type': 'Person', name },
+        datePublished: date,
+        reviewBody: quote,
+        reviewRating: {
+            '@type': 'Rating',
+            ratingValue: String(rating),
+            bestRating: '5',
+            worstRating: '1',
+        },
+    };
+}
+
+/** e.g. "Sarah M." → "SM", for the avatar circle. */
+export function initials(name: string): string {
+    return name
+        .split(/\s+/)
+        .map((part) => part.replace(/[^\p{L}]/gu, '').charAt(0))
+        .join('')
+        .slice(0, 2)
+        .toUpperCase();
+}
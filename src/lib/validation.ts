@@ -0,0 +1,140 @@
+/**
+ * Wait-list form validation, shared by the hero form script and the API
+ * routes so both sides agree on what's valid. Keep this free of Node imports;
+ * it ships to the browser.
+ */
+
+export type PhoneType = 'mobile' | 'landline';
+
+export interface AustralianPhone {
+    /** E.164, e.g. +61412345678 */
+    e164: string;
+    type: PhoneType;
+}
+
+export type SignupField = 'firstName' | 'phone' | 'postcode';
+
+export type FieldErrorCode =
+    | 'required'
+    | 'invalid'
+    | 'too_long'
+    | 'not_australian'
+    | 'landline';
+
+export type FieldErrors = Partial<Record<SignupField, FieldErrorCode>>;
+
+export interface SignupInput {
+    firstName?: unknown;
+    phone?: unknown;
+    postcode?: unknown;
+}
+
+export interface Signup {
+    firstName: string;
+    phone: AustralianPhone;
+    postcode: string;
+}
+
+export type SignupValidation = { ok: true; value: Signup } | { ok: false; errors: FieldErrors };
+
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Recognises Australian mobiles (04xx) and geographic landlines (02, 03, 07,
+ * 08) written locally or with a +61 / 0061 / 61 prefix. Returns null for
+ * anything else, including 13/1300/1800 numbers.
+ */
+export function parseAustralianPhone(input: string): AustralianPhone | null {
+    let digits = input.replace(/[\s().-]/g, '');
+
+    if (digits.startsWith('+61')) {
+        digits = '0' + digits.slice(3);
+    } else if (digits.startsWith('0061')) {
+        digits = '0' + digits.slice(4);
+    } else if (/^61\d{9}$/.test(digits)) {
+        digits = '0' + digits.slice(2);
+    }
+
+    // People often keep the trunk zero after the country code: +61 (0)412...
+    if (/^00\d{9}$/.test(digits)) {
+        digits = digits.slice(1);
+    }
+
+    if (/^04\d{8}$/.test(digits)) {
+        return { e164: '+61' + digits.slice(1), type: 'mobile' };
+    }
+    if (/^0[2378]\d{8}$/.test(digits)) {
+        return { e164: '+61' + digits.slice(1), type: 'landline' };
+    }
+    return null;
+}
+
+function text(value: unknown): string {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Checks a wait-list sign-up. With `requireMobile` (the default) landlines
+ * are rejected, since SMS consent only makes sense for a mobile.
+ */
+export function validateSignup(input: SignupInput, { requireMobile = true } = {}): SignupValidation {
+    const errors: FieldErrors = {};
+
+    const firstName = text(input.firstName);
+    if (!firstName) {
+        errors.firstName = 'required';
+    } else if (firstName.length > MAX_NAME_LENGTH) {
+        errors.firstName = 'too_long';
+    } else if (!/\p{L}/u.test(firstName)) {
+        errors.firstName = 'invalid';
+    }
+
+    const rawPhone = text(input.phone);
+    const phone = parseAustralianPhone(rawPhone);
+    if (!rawPhone) {
+        errors.phone = 'required';
+    } else if (!phone) {
+        errors.phone = rawPhone.startsWith('+') && !rawPhone.startsWith('+61') ? 'not_australian' : 'invalid';
+    } else if (requireMobile && phone.type !== 'mobile') {
+        errors.phone = 'landline';
+    }
+
+    const postcode = text(input.postcode);
+    if (!postcode) {
+        errors.postcode = 'required';
+    } else if (!/^\d{4}$/.test(postcode)) {
+        errors.postcode = 'invalid';
+    }
+
+    if (Object.keys(errors).length > 0 || !phone) {
+        return { ok: false, errors };
+    }
+    return { ok: true, value: { firstName, phone, postcode } };
+}
+
+const messages: Record<SignupField, Partial<Record<FieldErrorCode, string>>> = {
+    firstName: {
+        required: 'Please enter your first name',
+        too_long: `Please keep your name under ${MAX_NAME_LENGTH} characters`,
+        invalid: 'Please enter your first name',
+    },
+    phone: {
+        required: 'Please enter your phone number',
+        invalid: 'Please enter an Australian mobile, e.g. 0412 345 678',
+        not_australian: 'We can only text Australian mobile numbers',
+        landline: "That looks like a landline. We'll need a mobile to text you",
+    },
+    postcode: {
+        required: 'Please enter your postcode',
+        invalid: 'Postcodes are 4 digits, e.g. 3350',
+    },
+};
+
+export function fieldErrorMessage(field: SignupField, code: FieldErrorCode): string {
+    return messages[field][code] ?? 'Please check this field';
+}
+
+/** Referral codes as issued by src/lib/referrals.ts: 8 characters, no 0/O/1/I. */
+export function isReferralCode(value: unknown): value is string {
+    return typeof value === 'string' && /^[A-HJ-NP-Z2-9]{8}$/.test(value);
+}
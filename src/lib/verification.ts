@@ -0,0 +1,151 @@
+import { createHash, randomInt, randomUUID, timingSafeEqual } from 'node:crypto';
+import { getDataStore } from './data-store';
+import type { ReferralEntry } from './referrals';
+import { withLock } from './storage';
+import type { SubscriberDetails } from './subscribers';
+
+/**
+ * Double opt-in for wait-list sign-ups. /api/subscribe holds the sign-up here
+ * and texts a 6-digit code to the number; only when /api/verify is given that
+ * code does the sign-up go to the subscriber provider, which is what records
+ * SMS consent. Codes expire, and a verification is dropped after too many
+ * wrong guesses, so the sign-up has to be started again for a new code.
+ */
+
+export const CODE_LENGTH = 6;
+export const CODE_TTL_MINUTES = 10;
+export const MAX_ATTEMPTS = 5;
+
+/** Everything needed to finish the sign-up once the number is confirmed. */
+export interface PendingSignup {
+    details: SubscriberDetails;
+    referral: Omit<ReferralEntry, 'signedUpAt'>;
+    idempotencyKey?: string;
+}
+
+interface Verification {
+    id: string;
+    /** Salted with the ID; the code itself is never stored. */
+    codeHash: string;
+    signup: PendingSignup;
+    createdAt: string;
+    expiresAt: string;
+}
+
+export type VerifyFailure = 'not_found' | 'expired' | 'too_many_attempts' | 'wrong_code';
+
+export type VerifyResult =
+    | { ok: true; signup: PendingSignup }
+    | { ok: false; reason: VerifyFailure; attemptsLeft?: number };
+
+const TTL_SECONDS = CODE_TTL_MINUTES * 60;
+
+const verificationKey = (id: string) => `verification:${id}`;
+const attemptsKey = (id: string) => `verification-attempts:${id}`;
+// Points at a number's current verification, so starting again replaces it.
+// Hashed so the store's keys don't hold phone numbers.
+const phoneKey = (phone: string) => `verification-phone:${createHash('sha256').update(phone).digest('hex')}`;
+
+function hashCode(id: string, code: string): string {
+    return createHash('sha256').update(`${id}:${code}`).digest('hex');
+}
+
+function isExpired(verification: Verification, now: Date): boolean {
+    return new Date(verification.expiresAt).getTime() <= now.getTime();
+}
+
+async function discard(id: string): Promise<boolean> {
+    const store = getDataStore();
+    const [removed] = await Promise.all([store.delete(verificationKey(id)), store.delete(attemptsKey(id))]);
+    return removed;
+}
+
+export function isVerificationCode(value: unknown): value is string {
+    return typeof value === 'string' && new RegExp(`^\\d{${CODE_LENGTH}}$`).test(value);
+}
+
+/**
+ * Holds a sign-up until its number is confirmed and returns the code to text.
+ * Starting again for the same number replaces the earlier code. Everything
+ * is kept in the shared data store and expires with the code, so unconfirmed
+ * details aren't kept.
+ */
+export function startVerification(
+    signup: PendingSignup,
+    now: Date = new Date()
+): Promise<{ id: string; code: string; expiresAt: string }> {
+    const byPhone = phoneKey(signup.details.phone);
+
+    return withLock(byPhone, async () => {
+        const store = getDataStore();
+        const previous = await store.get<string>(byPhone);
+        if (previous) {
+            await discard(previous);
+        }
+
+        const id = randomUUID();
+        const code = String(randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+        const verification: Verification = {
+            id,
+            codeHash: hashCode(id, code),
+            signup,
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + TTL_SECONDS * 1000).toISOString()
+        };
+
+        await store.set(verificationKey(id), verification, TTL_SECONDS);
+        await store.set(byPhone, id, TTL_SECONDS);
+        return { id, code, expiresAt: verification.expiresAt };
+    });
+}
+
+/**
+ * Checks a code. A match, an expiry or the last allowed wrong guess removes
+ * the verification, so each can only be used once. Guesses are counted with
+ * the store's atomic increment before the code is compared, and a match is
+ * only accepted by the request whose delete removes it, so concurrent
+ * requests on other instances can't get extra guesses or use a code twice.
+ */
+export async function checkVerification(id: string, code: string, now: Date = new Date()): Promise<VerifyResult> {
+    const store = getDataStore();
+    const verification = await store.get<Verification>(verificationKey(id));
+    if (!verification) {
+        return { ok: false, reason: 'not_found' };
+    }
+
+    if (isExpired(verification, now)) {
+        await discard(id);
+        return { ok: false, reason: 'expired' };
+    }
+
+    const attempts = await store.increment(attemptsKey(id), TTL_SECONDS);
+    if (attempts > MAX_ATTEMPTS) {
+        await discard(id);
+        return { ok: false, reason: 'too_many_attempts' };
+    }
+
+    const encoder = new TextEncoder();
+    const expected = encoder.encode(verification.codeHash);
+    const given = encoder.encode(hashCode(id, code));
+    if (expected.length === given.length && timingSafeEqual(expected, given)) {
+        return (await discard(id))
+            ? { ok: true, signup: verification.signup }
+            : { ok: false, reason: 'not_found' };
+    }
+
+    const attemptsLeft = MAX_ATTEMPTS - attempts;
+    if (attemptsLeft <= 0) {
+        await discard(id);
+        return { ok: false, reason: 'too_many_attempts' };
+    }
+    return { ok: false, reason: 'wrong_code', attemptsLeft };
+}
+
+/** The text carrying the code. The last line lets phones offer to autofill it. */
+export function verificationMessage(code: string): string {
+    return [
+        `${code} is your Ferguson Livestock code to join the wait list. It expires in ${CODE_TTL_MINUTES} minutes.`,
+        '',
+        `@fergusonlivestock.com.au #${code}`
+    ].join('\n');
+}
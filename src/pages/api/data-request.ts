@@ -0,0 +1,74 @@
+import type { APIRoute } from 'astro';
+import { json, readJsonBody } from '../../lib/http';
+import { createLogger } from '../../lib/logger';
+import { handlePrivacyRequest, verifyManageToken } from '../../lib/privacy';
+import { checkRateLimit } from '../../lib/rate-limit';
+import { ProviderConfigError, getSubscriberProvider } from '../../lib/subscribers';
+
+export const prerender = false;
+
+interface DataRequest {
+    /** Token from the subscriber's manage-my-details link */
+    token?: unknown;
+    action?: unknown;
+}
+
+// Shows a subscriber what we hold about them, or erases it
+export const POST: APIRoute = async ({ request, clientAddress }) => {
+    const log = createLogger({ route: 'data-request' });
+
+    try {
+        const data: DataRequest | undefined = await readJsonBody(request);
+        if (!data) {
+            return json({ success: false, error: 'Invalid request body' }, 400);
+        }
+
+        if (data.action !== 'view' && data.action !== 'delete') {
+            return json({ success: false, error: 'Invalid action' }, 400);
+        }
+
+        const limit = await checkRateLimit(`privacy:ip:${clientAddress}`, { limit: 20, windowMs: 10 * 60 * 1000 });
+        if (!limit.allowed) {
+            return json({ success: false, error: 'Too many requests. Please try again later' }, 429, {
+                'Retry-After': String(limit.retryAfterSeconds),
+            });
+        }
+
+        const phone = verifyManageToken(data.token);
+        if (!phone) {
+            return json({ success: false, error: "This link isn't valid. Please use the link from our latest text" }, 403);
+        }
+
+        const result = await handlePrivacyRequest(getSubscriberProvider(log), data.action, phone, log);
+        if (result.outcome === 'not_found') {
+            return json({ success: false, error: "We don't hold any details for this number" }, 404, { 'Cache-Control': 'no-store' });
+        }
+
+        if (data.action === 'delete') {
+            return json({ success: true, message: "We've deleted your details. You won't hear from us again" }, 202);
+        }
+
+        const profile = result.profile;
+        return json(
+            {
+                success: true,
+                details: profile && {
+                    firstName: profile.firstName,
+                    phone: profile.phone,
+                    smsConsent: profile.smsConsent,
+                    createdAt: profile.createdAt,
+                    properties: profile.properties,
+                },
+            },
+            200,
+            { 'Cache-Control': 'no-store' },
+        );
+    } catch (error) {
+        if (error instanceof ProviderConfigError) {
+            log.error('data_request.config_error', { error });
+            return json({ success: false, error: 'Server configuration error' }, 500);
+        }
+        log.error('data_request.error', { error });
+        return json({ success: false, error: 'An error occurred' }, 500);
+    }
+};
@@ -0,0 +1,22 @@
+import type { APIRoute } from 'astro';
+import { json } from '../../lib/http';
+import { lookupDeliveryZone } from '../../lib/delivery-zones';
+
+export const prerender = false;
+
+// Delivery eligibility for a postcode, e.g. GET /api/delivery-zone?postcode=3350
+export const GET: APIRoute = async ({ url }) => {
+    const postcode = url.searchParams.get('postcode') ?? '';
+    const suburb = url.searchParams.get('suburb') ?? undefined;
+
+    // Validate postcode format (Australian 4-digit)
+    if (!/^\d{4}$/.test(postcode)) {
+        return json({ success: false, error: 'Invalid postcode format' }, 400);
+    }
+
+    return json(
+        { success: true, ...lookupDeliveryZone(postcode, suburb) },
+        200,
+        { 'Cache-Control': 'public, max-age=3600' },
+    );
+};
@@ -0,0 +1,18 @@
+import type { APIRoute } from 'astro';
+import { issueFormToken } from '../../lib/bot-protection';
+import { json } from '../../lib/http';
+import { createLogger } from '../../lib/logger';
+import { ProviderConfigError } from '../../lib/subscribers';
+
+export const prerender = false;
+
+// Signed timestamp the wait-list form fetches when it loads and posts back
+export const GET: APIRoute = async () => {
+    try {
+        return json({ success: true, token: issueFormToken() }, 200, { 'Cache-Control': 'no-store' });
+    } catch (error) {
+        if (!(error instanceof ProviderConfigError)) throw error;
+        createLogger({ route: 'form-token' }).error('form_token.config_error', { error });
+        return json({ success: false, error: 'Server configuration error' }, 500);
+    }
+};
@@ -0,0 +1,147 @@
+import type { APIRoute } from 'astro';
+import { HONEYPOT_FIELD, checkFormToken, isHoneypotFilled, recordBlocked } from '../../lib/bot-protection';
+import { getDrop } from '../../lib/drops';
+import { json, readJsonBody } from '../../lib/http';
+import { createLogger } from '../../lib/logger';
+import { checkRateLimit, type RateLimit } from '../../lib/rate-limit';
+import {
+    BOX_SIZES,
+    ReservationError,
+    getRemainingBoxes,
+    reserveBox,
+    type BoxSize,
+} from '../../lib/reservations';
+import { ProviderConfigError } from '../../lib/subscribers';
+import { validateSignup } from '../../lib/validation';
+
+export const prerender = false;
+
+// Fields arrive as whatever the client sent, so each is type-checked before use
+interface ReserveRequest {
+    dropId?: unknown;
+    boxSize?: unknown;
+    firstName?: unknown;
+    phone?: unknown;
+    postcode?: unknown;
+    address?: unknown;
+    /** Signed timestamp from /api/form-token */
+    formToken?: unknown;
+    /** Honeypot, hidden from people */
+    [HONEYPOT_FIELD]?: unknown;
+}
+
+// Enough for a household ordering a couple of boxes, not for a script
+// holding a whole drop
+const IP_LIMIT: RateLimit = { limit: 5, windowMs: 60 * 60 * 1000 };
+
+const isBoxSize = (value: unknown): value is BoxSize => BOX_SIZES.includes(value as BoxSize);
+
+// Boxes left per size for a drop, e.g. GET /api/reserve?drop=2026-02
+export const GET: APIRoute = async ({ url }) => {
+    const drop = await getDrop(url.searchParams.get('drop') ?? '');
+    if (!drop) {
+        return json({ success: false, error: 'Drop not found' }, 404);
+    }
+
+    const remaining = drop.data.status === 'sold-out'
+        ? Object.fromEntries(BOX_SIZES.map((size) => [size, 0]))
+        : await getRemainingBoxes({ id: drop.id, allocations: drop.data.allocations });
+
+    return json(
+        { success: true, dropId: drop.id, status: drop.data.status, remaining },
+        200,
+        { 'Cache-Control': 'no-store' },
+    );
+};
+
+export const POST: APIRoute = async ({ request, clientAddress }) => {
+    const log = createLogger({ route: 'reserve' });
+
+    try {
+        const data: ReserveRequest | undefined = await readJsonBody(request);
+        if (!data) {
+            return json({ success: false, error: 'Invalid request body' }, 400);
+        }
+
+        // Same bot checks as the wait list: an empty honeypot, a genuine form
+        // token and a per-IP limit
+        if (isHoneypotFilled(data[HONEYPOT_FIELD])) {
+            recordBlocked(log, 'honeypot');
+            return json({ success: false, code: 'honeypot', error: 'Submission rejected' }, 400);
+        }
+        const tokenProblem = checkFormToken(data.formToken);
+        if (tokenProblem) {
+            recordBlocked(log, tokenProblem);
+            return json({ success: false, code: tokenProblem, error: 'Please refresh the page and try again' }, 400);
+        }
+        const ipLimit = await checkRateLimit(`reserve:ip:${clientAddress}`, IP_LIMIT);
+        if (!ipLimit.allowed) {
+            recordBlocked(log, 'rate_limited_ip');
+            return json({ success: false, code: 'rate_limited_ip', error: 'Too many attempts. Please try again later' }, 429, {
+                'Retry-After': String(ipLimit.retryAfterSeconds),
+            });
+        }
+
+        // Validate required fields
+        const address = typeof data.address === 'string' ? data.address.trim() : '';
+        if (typeof data.dropId !== 'string' || !data.dropId || !data.boxSize || !address) {
+            return json({ success: false, error: 'Missing required fields' }, 400);
+        }
+
+        if (!isBoxSize(data.boxSize)) {
+            return json({ success: false, error: 'Invalid box size' }, 400);
+        }
+
+        // Same contact rules as the wait list, except a landline is fine here
+        const validation = validateSignup(data, { requireMobile: false });
+        if (!validation.ok) {
+            return json({ success: false, error: 'Please check the highlighted fields', errors: validation.errors }, 400);
+        }
+        const contact = validation.value;
+
+        const drop = await getDrop(data.dropId);
+        if (!drop) {
+            return json({ success: false, error: 'Drop not found' }, 404);
+        }
+        if (drop.data.status !== 'open') {
+            return json({ success: false, error: 'Orders are not open for this drop' }, 409);
+        }
+
+        const { reservation, remaining } = await reserveBox(
+            { id: drop.id, allocations: drop.data.allocations },
+            {
+                boxSize: data.boxSize,
+                firstName: contact.firstName,
+                phone: contact.phone.e164,
+                postcode: contact.postcode,
+                address,
+            },
+        );
+
+        log.info('reserve.held', { reservationId: reservation.id, dropId: reservation.dropId, boxSize: reservation.boxSize });
+
+        return json(
+            {
+                success: true,
+                reservation: {
+                    id: reservation.id,
+                    dropId: reservation.dropId,
+                    boxSize: reservation.boxSize,
+                    expiresAt: reservation.expiresAt,
+                },
+                remaining,
+            },
+            201,
+        );
+    } catch (error) {
+        if (error instanceof ReservationError && error.code === 'sold_out') {
+            return json({ success: false, error: error.message }, 409);
+        }
+        if (error instanceof ProviderConfigError) {
+            log.error('reserve.config_error', { error });
+            return json({ success: false, error: 'Server configuration error' }, 500);
+        }
+        log.error('reserve.error', { error });
+        return json({ success: false, error: 'An error occurred' }, 500);
+    }
+};
@@ -0,0 +1,67 @@
+import type { APIRoute } from 'astro';
+import { HONEYPOT_FIELD, checkFormToken, isHoneypotFilled, recordBlocked } from '../../lib/bot-protection';
+import { json, readJsonBody } from '../../lib/http';
+import { createLogger } from '../../lib/logger';
+import { checkRateLimit } from '../../lib/rate-limit';
+import { submitReview, validateReview } from '../../lib/reviews';
+import { ProviderConfigError } from '../../lib/subscribers';
+
+export const prerender = false;
+
+// Fields arrive as whatever the client sent; validateReview checks each one
+interface ReviewRequest {
+    name?: unknown;
+    suburb?: unknown;
+    rating?: unknown;
+    quote?: unknown;
+    phone?: unknown;
+    formToken?: unknown;
+    [HONEYPOT_FIELD]?: unknown;
+}
+
+// Reviews are held for moderation; nothing is published until it's approved
+export const POST: APIRoute = async ({ request, clientAddress }) => {
+    const log = createLogger({ route: 'reviews' });
+
+    try {
+        const data: ReviewRequest | undefined = await readJsonBody(request);
+        if (!data) {
+            return json({ success: false, error: 'Invalid request body' }, 400);
+        }
+
+        if (isHoneypotFilled(data[HONEYPOT_FIELD])) {
+            recordBlocked(log, 'honeypot');
+            return json({ success: false, error: 'Submission rejected' }, 400);
+        }
+        const tokenProblem = checkFormToken(data.formToken);
+        if (tokenProblem) {
+            recordBlocked(log, tokenProblem);
+            return json({ success: false, error: 'Please refresh the page and try again' }, 400);
+        }
+
+        const limit = await checkRateLimit(`reviews:ip:${clientAddress}`, { limit: 5, windowMs: 60 * 60 * 1000 });
+        if (!limit.allowed) {
+            recordBlocked(log, 'rate_limited_ip');
+            return json({ success: false, error: 'Too many reviews. Please try again later' }, 429, {
+                'Retry-After': String(limit.retryAfterSeconds),
+            });
+        }
+
+        const validation = validateReview(data);
+        if (!validation.ok) {
+            return json({ success: false, error: 'Please check the highlighted fields', errors: validation.errors }, 400);
+        }
+
+        const review = await submitReview(validation.value);
+        log.info('reviews.submitted', { reviewId: review.id, rating: review.rating });
+
+        return json({ success: true, message: "Thanks! We'll read your review and add it to the site soon" }, 202);
+    } catch (error) {
+        if (error instanceof ProviderConfigError) {
+            log.error('reviews.config_error', { error });
+            return json({ success: false, error: 'Server configuration error' }, 500);
+        }
+        log.error('reviews.error', { error });
+        return json({ success: false, error: 'An error occurred' }, 500);
+    }
+};
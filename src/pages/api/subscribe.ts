@@ -1,280 +1,196 @@
 import type { APIRoute } from 'astro';
+import {
+    HONEYPOT_FIELD,
+    checkFormToken,
+    isHoneypotFilled,
+    recordBlocked,
+    type BlockReason
+} from '../../lib/bot-protection';
+import { lookupDeliveryZone } from '../../lib/delivery-zones';
+import { json, readJsonBody } from '../../lib/http';
+import { isValidIdempotencyKey, runOnce } from '../../lib/idempotency';
+import { createLogger, type Logger } from '../../lib/logger';
+import { manageUrl } from '../../lib/privacy';
+import { checkRateLimit, type RateLimit } from '../../lib/rate-limit';
+import { referralCodeFor } from '../../lib/referrals';
+import { withRetry } from '../../lib/retry';
+import { getSmsGateway, type SmsGateway } from '../../lib/sms';
+import { ProviderConfigError, UpstreamError, type SubscriberDetails } from '../../lib/subscribers';
+import { isReferralCode, validateSignup } from '../../lib/validation';
+import { CODE_LENGTH, CODE_TTL_MINUTES, startVerification, verificationMessage } from '../../lib/verification';
 
 export const prerender = false;
 
+// Fields arrive as whatever the client sent, so each is type-checked before use
 interface SubscribeRequest {
-    firstName: string;
-    phone: string;
-    postcode: string;
+    firstName?: unknown;
+    phone?: unknown;
+    postcode?: unknown;
+    /** Signed timestamp from /api/form-token */
+    formToken?: unknown;
+    /** Honeypot, hidden from people */
+    [HONEYPOT_FIELD]?: unknown;
+    /** Referral code from the share link the visitor arrived on */
+    referredBy?: unknown;
 }
 
-export const POST: APIRoute = async ({ request }) => {
+// Per-IP allows for a household or office sharing a connection; per-phone
+// stops one number being signed up over and over, and caps the codes we text it.
+const IP_LIMIT: RateLimit = { limit: 10, windowMs: 10 * 60 * 1000 };
+const PHONE_LIMIT: RateLimit = { limit: 3, windowMs: 60 * 60 * 1000 };
+
+// Network failures, rate limits and 5xx are retried; a rejected number won't fix itself
+const shouldRetry = (error: unknown) => !(error instanceof UpstreamError) || error.retryable;
+
+const blockedMessages: Record<BlockReason, string> = {
+    honeypot: 'Submission rejected',
+    invalid_token: 'Please refresh the page and try again',
+    too_fast: 'That was quick! Please wait a moment and try again',
+    token_expired: 'This form has expired. Please refresh the page and try again',
+    rate_limited_ip: 'Too many attempts. Please try again later',
+    rate_limited_phone: 'Too many attempts for this number. Please try again later'
+};
+
+function blocked(log: Logger, reason: BlockReason, retryAfterSeconds?: number): Response {
+    recordBlocked(log, reason);
+    const rateLimited = retryAfterSeconds !== undefined;
+    return json(
+        { success: false, code: reason, error: blockedMessages[reason] },
+        rateLimited ? 429 : 400,
+        rateLimited ? { 'Retry-After': String(retryAfterSeconds) } : {}
+    );
+}
+
+export const POST: APIRoute = async ({ request, clientAddress }) => {
+    const log = createLogger({ route: 'subscribe' });
+    const started = performance.now();
+
     try {
-        const data: SubscribeRequest = await request.json();
+        const data: SubscribeRequest | undefined = await readJsonBody(request);
+        if (!data) {
+            return json({ success: false, error: 'Invalid request body' }, 400);
+        }
 
-        // Validate required fields
-        if (!data.firstName || !data.phone || !data.postcode) {
-            return new Response(
-                JSON.stringify({
-                    success: false,
-                    error: 'Missing required fields'
-                }),
-                {
-                    status: 400,
-                    headers: { 'Content-Type': 'application/json' }
-                }
-            );
+        // Bot checks: the honeypot must be empty and the form token genuine
+        if (isHoneypotFilled(data[HONEYPOT_FIELD])) {
+            return blocked(log, 'honeypot');
+        }
+        const tokenProblem = checkFormToken(data.formToken);
+        if (tokenProblem) {
+            return blocked(log, tokenProblem);
         }
 
-        // Validate postcode format (Australian 4-digit)
-        if (!/^\d{4}$/.test(data.postcode)) {
-            return new Response(
-                JSON.stringify({
-                    success: false,
-                    error: 'Invalid postcode format'
-                }),
-                {
-                    status: 400,
-                    headers: { 'Content-Type': 'application/json' }
-                }
-            );
+        const ipLimit = await checkRateLimit(`subscribe:ip:${clientAddress}`, IP_LIMIT);
+        if (!ipLimit.allowed) {
+            return blocked(log, 'rate_limited_ip', ipLimit.retryAfterSeconds);
+        }
+
+        // Optional per-submission key so a double-click or client retry can't sign up twice
+        const idempotencyKey = request.headers.get('Idempotency-Key') ?? undefined;
+        if (idempotencyKey !== undefined && !isValidIdempotencyKey(idempotencyKey)) {
+            return json({ success: false, error: 'Invalid Idempotency-Key header' }, 400);
         }
 
-        // Format phone number for Klaviyo (E.164 format)
-        let formattedPhone = data.phone.replace(/\s+/g, '').replace(/[^\d+]/g, '');
-        if (formattedPhone.startsWith('0')) {
-            formattedPhone = '+61' + formattedPhone.slice(1);
-        } else if (!formattedPhone.startsWith('+')) {
-            formattedPhone = '+61' + formattedPhone;
+        // Validate fields, normalising the phone to E.164. Only mobiles can
+        // take SMS consent, so landlines are rejected here.
+        const validation = validateSignup(data);
+        if (!validation.ok) {
+            log.info('subscribe.invalid', {
+                errors: Object.entries(validation.errors).map(([field, code]) => `${field}:${code}`)
+            });
+            return json({ success: false, error: 'Please check the highlighted fields', errors: validation.errors }, 400);
         }
+        const signup = validation.value;
 
-        const publicApiKey = import.meta.env.KLAVIYO_PUBLIC_API_KEY;
-        const privateApiKey = import.meta.env.KLAVIYO_API_KEY;
-        const listId = import.meta.env.KLAVIYO_LIST_ID;
+        const phoneLimit = await checkRateLimit(`subscribe:phone:${signup.phone.e164}`, PHONE_LIMIT);
+        if (!phoneLimit.allowed) {
+            return blocked(log, 'rate_limited_phone', phoneLimit.retryAfterSeconds);
+        }
 
-        if (!publicApiKey || !listId) {
-            console.error('Missing Klaviyo configuration');
-            return new Response(
-                JSON.stringify({
-                    success: false,
-                    error: 'Server configuration error'
-                }),
+        // Tag the profile with its delivery zone so lists can be segmented by run
+        const { zone } = lookupDeliveryZone(signup.postcode);
+        const deliveryZone = zone ? zone.id : 'out_of_area';
+
+        // Without a gateway no code can be sent, so turn the sign-up away
+        // before anything is stored; it can be retried once SMS is set up
+        let gateway: SmsGateway;
+        try {
+            gateway = getSmsGateway(log);
+        } catch (error) {
+            if (!(error instanceof ProviderConfigError)) throw error;
+            log.error('subscribe.sms_unavailable', { error });
+            return json(
                 {
-                    status: 500,
-                    headers: { 'Content-Type': 'application/json' }
-                }
+                    success: false,
+                    code: 'sms_unavailable',
+                    error: "We can't send verification texts right now. Please try again later."
+                },
+                503
             );
         }
 
-        // Step 1: Try client subscription endpoint
-        const payload = {
-            data: {
-                type: 'subscription',
-                attributes: {
-                    list_id: listId,
-                    custom_source: 'Ferguson Livestock Website',
-                    phone_number: formattedPhone,
-                    properties: {
-                        first_name: data.firstName,
-                        postcode: data.postcode,
-                        signup_date: new Date().toISOString()
-                    }
-                }
+        // Every subscriber gets a code for their share links; remember whose
+        // link brought this one in
+        const referralCode = referralCodeFor(signup.phone.e164);
+        const referredBy = isReferralCode(data.referredBy) && data.referredBy !== referralCode
+            ? data.referredBy
+            : undefined;
+
+        const details: SubscriberDetails = {
+            phone: signup.phone.e164,
+            firstName: signup.firstName,
+            properties: {
+                postcode: signup.postcode,
+                delivery_zone: deliveryZone,
+                referral_code: referralCode,
+                // For the opt-out / manage-my-details link in our texts
+                manage_url: manageUrl(signup.phone.e164),
+                ...(referredBy && { referred_by: referredBy })
             }
         };
 
-        console.log('Step 1 - Client subscription payload:', JSON.stringify(payload, null, 2));
-
-        const response = await fetch(`https://a.klaviyo.com/client/subscriptions/?company_id=${publicApiKey}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'revision': '2023-06-15'
-            },
-            body: JSON.stringify(payload)
-        });
-
-        const responseText = await response.text();
-        console.log('Step 1 - Client subscription response:', response.status, responseText);
-
-        // Step 2: Verify profile exists using private API key
-        if (privateApiKey) {
-            console.log('Step 2 - Checking if profile exists...');
-
-            // Wait a moment for Klaviyo to process
-            await new Promise(resolve => setTimeout(resolve, 1000));
-
-            // Search for profile by phone number
-            const searchUrl = `https://a.klaviyo.com/api/profiles/?filter=equals(phone_number,"${encodeURIComponent(formattedPhone)}")`;
-            console.log('Step 2 - Search URL:', searchUrl);
-
-            const searchResponse = await fetch(searchUrl, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Klaviyo-API-Key ${privateApiKey}`,
-                    'Content-Type': 'application/json',
-                    'revision': '2024-02-15'
-                }
+        // Nothing goes to the subscriber provider (which records SMS consent)
+        // until the number is confirmed with the code we text it; see /api/verify.
+        // A repeated Idempotency-Key gets the same verification, without a second text.
+        const { result: verification, replayed } = await runOnce(idempotencyKey, async () => {
+            const { id, code, expiresAt } = await startVerification({
+                details,
+                referral: { referralCode, referredBy, firstName: signup.firstName },
+                idempotencyKey
             });
+            await withRetry(() => gateway.send({ to: details.phone, body: verificationMessage(code) }), { shouldRetry });
+            return { id, expiresAt };
+        }, log);
+        log.info('subscribe.code_sent', {
+            verificationId: verification.id,
+            replayed,
+            deliveryZone,
+            referred: referredBy !== undefined,
+            durationMs: Math.round(performance.now() - started)
+        });
 
-            const searchText = await searchResponse.text();
-            console.log('Step 2 - Profile search response:', searchResponse.status, searchText);
-
-            if (searchResponse.ok) {
-                try {
-                    const searchData = JSON.parse(searchText);
-                    if (searchData.data && searchData.data.length > 0) {
-                        console.log('Step 2 - Profile FOUND:', searchData.data[0].id);
-
-                        // Profile exists - update it with first_name and add to list
-                        const profileId = searchData.data[0].id;
-
-                        // Update profile with first_name
-                        const updatePayload = {
-                            data: {
-                                type: 'profile',
-                                id: profileId,
-                                attributes: {
-                                    first_name: data.firstName,
-                                    properties: {
-                                        postcode: data.postcode,
-                                        source: 'Ferguson Livestock Website'
-                                    }
-                                }
-                            }
-                        };
-
-                        console.log('Step 3 - Updating profile:', JSON.stringify(updatePayload, null, 2));
-
-                        const updateResponse = await fetch(`https://a.klaviyo.com/api/profiles/${profileId}/`, {
-                            method: 'PATCH',
-                            headers: {
-                                'Authorization': `Klaviyo-API-Key ${privateApiKey}`,
-                                'Content-Type': 'application/json',
-                                'revision': '2024-02-15'
-                            },
-                            body: JSON.stringify(updatePayload)
-                        });
-
-                        console.log('Step 3 - Profile update response:', updateResponse.status);
-
-                        // Add to list
-                        const listPayload = {
-                            data: [
-                                {
-                                    type: 'profile',
-                                    id: profileId
-                                }
-                            ]
-                        };
-
-                        console.log('Step 4 - Adding to list:', listId);
-
-                        const listResponse = await fetch(`https://a.klaviyo.com/api/lists/${listId}/relationships/profiles/`, {
-                            method: 'POST',
-                            headers: {
-                                'Authorization': `Klaviyo-API-Key ${privateApiKey}`,
-                                'Content-Type': 'application/json',
-                                'revision': '2024-02-15'
-                            },
-                            body: JSON.stringify(listPayload)
-                        });
-
-                        console.log('Step 4 - Add to list response:', listResponse.status);
-
-                    } else {
-                        console.log('Step 2 - Profile NOT found, creating new one...');
-
-                        // Profile doesn't exist - create it
-                        const createPayload = {
-                            data: {
-                                type: 'profile',
-                                attributes: {
-                                    phone_number: formattedPhone,
-                                    first_name: data.firstName,
-                                    properties: {
-                                        postcode: data.postcode,
-                                        source: 'Ferguson Livestock Website',
-                                        signup_date: new Date().toISOString()
-                                    }
-                                }
-                            }
-                        };
-
-                        console.log('Step 3 - Creating profile:', JSON.stringify(createPayload, null, 2));
-
-                        const createResponse = await fetch('https://a.klaviyo.com/api/profiles/', {
-                            method: 'POST',
-                            headers: {
-                                'Authorization': `Klaviyo-API-Key ${privateApiKey}`,
-                                'Content-Type': 'application/json',
-                                'revision': '2024-02-15'
-                            },
-                            body: JSON.stringify(createPayload)
-                        });
-
-                        const createText = await createResponse.text();
-                        console.log('Step 3 - Create profile response:', createResponse.status, createText);
-
-                        if (createResponse.ok || createResponse.status === 201) {
-                            const createData = JSON.parse(createText);
-                            const newProfileId = createData.data.id;
-
-                            // Add to list
-                            const listPayload = {
-                                data: [
-                                    {
-                                        type: 'profile',
-                                        id: newProfileId
-                                    }
-                                ]
-                            };
-
-                            console.log('Step 4 - Adding new profile to list:', listId);
-
-                            const listResponse = await fetch(`https://a.klaviyo.com/api/lists/${listId}/relationships/profiles/`, {
-                                method: 'POST',
-                                headers: {
-                                    'Authorization': `Klaviyo-API-Key ${privateApiKey}`,
-                                    'Content-Type': 'application/json',
-                                    'revision': '2024-02-15'
-                                },
-                                body: JSON.stringify(listPayload)
-                            });
-
-                            console.log('Step 4 - Add to list response:', listResponse.status);
-                        }
-                    }
-                } catch (e) {
-                    console.error('Error parsing search response:', e);
-                }
-            }
-        } else {
-            console.log('No private API key - skipping verification');
-        }
-
-        return new Response(
-            JSON.stringify({
-                success: true,
-                message: 'Successfully subscribed to the wait list!'
-            }),
+        return json(
             {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' }
-            }
+                success: true,
+                status: 'verification_required',
+                verificationId: verification.id,
+                expiresAt: verification.expiresAt,
+                message: `We've texted a ${CODE_LENGTH}-digit code to your phone. It expires in ${CODE_TTL_MINUTES} minutes.`
+            },
+            202
         );
 
     } catch (error) {
-        console.error('Subscribe error:', error);
-        return new Response(
-            JSON.stringify({
-                success: false,
-                error: error instanceof Error ? error.message : 'An error occurred'
-            }),
-            {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' }
-            }
-        );
+        // A missing secret (e.g. REFERRAL_SECRET) or other required setting
+        if (error instanceof ProviderConfigError) {
+            log.error('subscribe.config_error', { error });
+            return json({ success: false, error: 'Server configuration error' }, 500);
+        }
+        if (error instanceof UpstreamError) {
+            log.error('subscribe.sms_failed', { error, durationMs: Math.round(performance.now() - started) });
+            return json({ success: false, error: "We couldn't text that number. Please check it and try again." }, 502);
+        }
+        log.error('subscribe.error', { error, durationMs: Math.round(performance.now() - started) });
+        return json({ success: false, error: 'An error occurred' }, 500);
     }
 };
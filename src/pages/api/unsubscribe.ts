@@ -0,0 +1,51 @@
+import type { APIRoute } from 'astro';
+import { json, readJsonBody } from '../../lib/http';
+import { createLogger } from '../../lib/logger';
+import { handlePrivacyRequest, verifyManageToken } from '../../lib/privacy';
+import { checkRateLimit } from '../../lib/rate-limit';
+import { ProviderConfigError, getSubscriberProvider } from '../../lib/subscribers';
+
+export const prerender = false;
+
+interface UnsubscribeRequest {
+    /** Token from the subscriber's manage-my-details link */
+    token?: unknown;
+}
+
+// Withdraws SMS consent for the phone number the token was issued to
+export const POST: APIRoute = async ({ request, clientAddress }) => {
+    const log = createLogger({ route: 'unsubscribe' });
+
+    try {
+        const data: UnsubscribeRequest | undefined = await readJsonBody(request);
+        if (!data) {
+            return json({ success: false, error: 'Invalid request body' }, 400);
+        }
+
+        const limit = await checkRateLimit(`privacy:ip:${clientAddress}`, { limit: 20, windowMs: 10 * 60 * 1000 });
+        if (!limit.allowed) {
+            return json({ success: false, error: 'Too many requests. Please try again later' }, 429, {
+                'Retry-After': String(limit.retryAfterSeconds),
+            });
+        }
+
+        const phone = verifyManageToken(data.token);
+        if (!phone) {
+            return json({ success: false, error: "This link isn't valid. Please use the link from our latest text" }, 403);
+        }
+
+        const result = await handlePrivacyRequest(getSubscriberProvider(log), 'unsubscribe', phone, log);
+        if (result.outcome === 'not_found') {
+            return json({ success: false, error: "We don't have this number on our list" }, 404);
+        }
+
+        return json({ success: true, message: "You've been unsubscribed. We won't text you again" });
+    } catch (error) {
+        if (error instanceof ProviderConfigError) {
+            log.error('unsubscribe.config_error', { error });
+            return json({ success: false, error: 'Server configuration error' }, 500);
+        }
+        log.error('unsubscribe.error', { error });
+        return json({ success: false, error: 'An error occurred' }, 500);
+    }
+};
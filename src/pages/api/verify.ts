@@ -0,0 +1,146 @@
+import type { APIRoute } from 'astro';
+import { json, readJsonBody } from '../../lib/http';
+import { createLogger, type Logger } from '../../lib/logger';
+import { checkRateLimit, type RateLimit } from '../../lib/rate-limit';
+import { recordReferral } from '../../lib/referrals';
+import {
+    DeliveryError,
+    ProviderConfigError,
+    deliverSubscription,
+    getSubscriberProvider,
+    recordDeadLetter,
+    type SubscriberProvider
+} from '../../lib/subscribers';
+import { checkVerification, isVerificationCode, type PendingSignup, type VerifyFailure } from '../../lib/verification';
+
+export const prerender = false;
+
+// Fields arrive as whatever the client sent, so each is type-checked before use
+interface VerifyRequest {
+    /** From the /api/subscribe response */
+    verificationId?: unknown;
+    /** The 6-digit code we texted */
+    code?: unknown;
+}
+
+/**
+ * "accepted" means the provider has the sign-up. "queued" means every retry
+ * failed and it's in the dead-letter store waiting for a replay.
+ */
+type SubscribeOutcome = 'accepted' | 'queued';
+
+async function deliver(log: Logger, provider: SubscriberProvider, signup: PendingSignup): Promise<SubscribeOutcome> {
+    try {
+        await deliverSubscription(provider, signup.details, log);
+        return 'accepted';
+    } catch (error) {
+        if (!(error instanceof DeliveryError)) throw error;
+        log.error('verify.queued', { error });
+        await recordDeadLetter({
+            idempotencyKey: signup.idempotencyKey,
+            provider: provider.name,
+            details: signup.details,
+            step: error.step,
+            error: error.message
+        });
+        return 'queued';
+    }
+}
+
+async function submit(log: Logger, provider: SubscriberProvider, signup: PendingSignup): Promise<SubscribeOutcome> {
+    const outcome = await deliver(log, provider, signup);
+
+    // The referral ledger only feeds reporting, so a failed write shouldn't
+    // fail the sign-up
+    try {
+        await recordReferral({ ...signup.referral, signedUpAt: new Date().toISOString() });
+    } catch (error) {
+        log.error('verify.referral_failed', { error });
+    }
+
+    return outcome;
+}
+
+// The per-verification attempt limit stops guessing one code; this stops one
+// client working through many
+const IP_LIMIT: RateLimit = { limit: 20, windowMs: 10 * 60 * 1000 };
+
+const failures: Record<VerifyFailure, { status: number; error: string }> = {
+    not_found: { status: 404, error: 'This code is no longer valid. Please send a new one' },
+    expired: { status: 410, error: 'This code has expired. Please send a new one' },
+    too_many_attempts: { status: 429, error: 'Too many wrong codes. Please send a new one' },
+    wrong_code: { status: 400, error: "That code doesn't match. Please check the text and try again" }
+};
+
+// Confirms the code texted by /api/subscribe, then finishes the sign-up
+export const POST: APIRoute = async ({ request, clientAddress }) => {
+    const log = createLogger({ route: 'verify' });
+    const started = performance.now();
+
+    try {
+        const data: VerifyRequest | undefined = await readJsonBody(request);
+        if (!data) {
+            return json({ success: false, error: 'Invalid request body' }, 400);
+        }
+
+        const ipLimit = await checkRateLimit(`verify:ip:${clientAddress}`, IP_LIMIT);
+        if (!ipLimit.allowed) {
+            log.warn('verify.blocked', { reason: 'rate_limited_ip' });
+            return json({ success: false, code: 'rate_limited_ip', error: 'Too many attempts. Please try again later' }, 429, {
+                'Retry-After': String(ipLimit.retryAfterSeconds)
+            });
+        }
+
+        if (typeof data.verificationId !== 'string' || !isVerificationCode(data.code)) {
+            return json({ success: false, code: 'invalid', error: 'Please enter the 6-digit code from our text' }, 400);
+        }
+
+        // Check the provider is configured before the code is used up
+        let provider: SubscriberProvider;
+        try {
+            provider = getSubscriberProvider(log);
+        } catch (error) {
+            if (!(error instanceof ProviderConfigError)) throw error;
+            log.error('verify.config_error', { error });
+            return json({ success: false, error: 'Server configuration error' }, 500);
+        }
+
+        const result = await checkVerification(data.verificationId, data.code);
+        if (!result.ok) {
+            log.info('verify.failed', { verificationId: data.verificationId, reason: result.reason, attemptsLeft: result.attemptsLeft });
+            const { status, error } = failures[result.reason];
+            return json({ success: false, code: result.reason, error, attemptsLeft: result.attemptsLeft }, status);
+        }
+
+        // Record when the number was confirmed alongside the consent
+        const signup: PendingSignup = {
+            ...result.signup,
+            details: {
+                ...result.signup.details,
+                properties: { ...result.signup.details.properties, sms_verified_at: new Date().toISOString() }
+            }
+        };
+
+        const outcome = await submit(log, provider, signup);
+        log.info('verify.completed', {
+            verificationId: data.verificationId,
+            outcome,
+            durationMs: Math.round(performance.now() - started)
+        });
+
+        return json(
+            {
+                success: true,
+                status: outcome,
+                referralCode: signup.referral.referralCode,
+                message: outcome === 'accepted'
+                    ? 'Successfully subscribed to the wait list!'
+                    : "We've saved your details and will finish adding you to the wait list shortly."
+            },
+            outcome === 'accepted' ? 200 : 202
+        );
+    } catch (error) {
+        log.error('verify.error', { error, durationMs: Math.round(performance.now() - started) });
+        return json({ success: false, error: 'An error occurred' }, 500);
+    }
+};
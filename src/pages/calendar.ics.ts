@@ -0,0 +1,14 @@
+import type { APIRoute } from 'astro';
+import { icsCalendar, dropEvents } from '../lib/calendar';
+import { getDrops, lastDeliveryDay, melbourneToday } from '../lib/drops';
+
+// Subscribable feed of every drop still to come. Built with the site, so a
+// new drop appears once it's deployed.
+export const GET: APIRoute = async () => {
+    const today = melbourneToday();
+    const upcoming = (await getDrops()).filter((drop) => lastDeliveryDay(drop) >= today);
+
+    return new Response(icsCalendar('Ferguson Livestock beef drops', upcoming.flatMap(dropEvents)), {
+        headers: { 'Content-Type': 'text/calendar; charset=utf-8' },
+    });
+};
@@ -0,0 +1,16 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { icsCalendar, dropEvents } from '../../lib/calendar';
+import { getDrops, type Drop } from '../../lib/drops';
+
+// One downloadable .ics per drop, e.g. /calendar/2026-02.ics
+export const getStaticPaths = (async () => {
+    const drops = await getDrops();
+    return drops.map((drop) => ({ params: { drop: drop.id }, props: { drop } }));
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute<{ drop: Drop }> = async ({ props }) => {
+    const { drop } = props;
+    return new Response(icsCalendar(`Ferguson Livestock ${drop.data.name}`, dropEvents(drop)), {
+        headers: { 'Content-Type': 'text/calendar; charset=utf-8' },
+    });
+};